@@ -0,0 +1,519 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { COMIC_EXTENSION_PATTERN } = require('../lib/archive');
+const { parseLayoutOptions } = require('../lib/render');
+const { parseMetadataOverrides } = require('../lib/metadata');
+const { parseEncryptionOptions } = require('../lib/encrypt');
+const { parsePdfaOption } = require('../lib/pdfa');
+const { sizeThreadPool, mapOrdered } = require('../lib/pool');
+const { createWatcher } = require('../lib/watcher');
+const { CONCURRENCY, OUTPUT_FORMATS, parseOutputFormat, outputFileName } = require('../lib/convert');
+const { convert, combine } = require('../lib');
+
+sizeThreadPool(CONCURRENCY);
+
+const USAGE = `Usage: cbr2pdf [options] <file|directory|glob>...
+       cbr2pdf watch [options] <inbox>
+
+Convert CBR/CBZ/CB7/CBT comic archives to PDF (or EPUB).
+
+watch keeps running and converts every archive dropped into <inbox> once it is fully
+written, into --output (default: <inbox>/converted). Originals are moved to <inbox>/done,
+or to <inbox>/failed with an .error.log next to them. Stop it with Ctrl+C.
+
+Options:
+  -o, --output <dir>            Write output files to this directory (default: next to each input)
+  -q, --quality <1-100>         Image quality (default: 75)
+  -b, --bg-color <color>        Page background: white | black (default: white)
+  -p, --pages <range>           Page range of each archive, e.g. 5-20, 5- or 7 (not with --combine)
+  -c, --combine                 Merge all inputs into one document
+  -n, --name <file>             File name of the combined document (default: combined-comic.pdf)
+  -f, --format <format>         Output format: pdf | epub (default: pdf)
+      --page-size <size>        a4 | letter | a5 | b5 | custom | image | device (default: a4)
+      --page-width <mm>         Page width for --page-size custom
+      --page-height <mm>        Page height for --page-size custom
+      --margin <mm>             Page margin (default: 0)
+      --fit-mode <mode>         contain | cover | fit-width | stretch (default: contain)
+      --spread-mode <mode>      none | split | rotate (default: none)
+      --reading-direction <d>   ltr | rtl | auto (default: auto)
+      --blank-first-page        Insert a blank first page for two-page viewers
+      --passthrough <mode>      Embed original JPEG/PNG pages: auto | always | never (default: auto)
+      --device <profile>        Prepare pages for an e-reader: kindle | kindle-paperwhite | kindle-scribe |
+                                kobo-clara | kobo-libra | kobo-libra-colour | kobo-sage | remarkable-2
+      --dither                  With --device: dither grey pages to 16 grey levels
+      --grayscale-all           With --device: make colour pages grey too
+      --normalize               Stretch page contrast to the full range (auto-levels)
+      --white-point             Make the paper white, removing yellowing of scans
+      --sharpen <radius>        Unsharp mask radius, 0.3-10 (1 is a good start)
+      --despeckle <size>        Median filter against scanner noise, 3-15 pixels (3 is a good start)
+      --gamma <value>           Gamma correction, above 1 darkens (default: none, or per --device profile)
+      --watermark <text>        Draw a text watermark on every page
+      --watermark-image <file>  Draw a PNG or JPEG image as the watermark instead
+      --watermark-opacity <0-1> Watermark opacity (default: 0.3)
+      --watermark-position <p>  center | top | bottom | left | right | top-left | top-right |
+                                bottom-left | bottom-right (default: center)
+      --watermark-rotation <d>  Watermark rotation in degrees, anticlockwise (default: 0)
+      --watermark-size <pct>    Watermark width in percent of the page width (default: 50)
+      --page-numbers <format>   Page numbers, e.g. "{page}" or "{page} / {total}"
+      --page-number-position <p>
+                                top-left | top | top-right | bottom-left | bottom | bottom-right
+                                (default: bottom)
+      --header <template>       Header line, e.g. "{series} #{issue}"; fields: {series} {issue}
+                                {volume} {title} {file} {page} {total}
+      --footer <template>       Footer line, with the same fields
+      --overlay-font <file>     TrueType/OpenType font for overlay text (default: DejaVu Sans)
+      --overlay-font-size <pt>  Size of page numbers, header and footer (default: 10)
+      --overlay-color <hex>     Colour of overlay text (default: #808080)
+      --password <pw>           Password of encrypted input archives
+      --user-password <pw>      Password needed to open the PDF
+      --owner-password <pw>     Password that lifts the restrictions below (default: a random one)
+      --no-print                Don't allow printing the PDF
+      --no-copy                 Don't allow copying text and images from the PDF
+      --no-modify               Don't allow editing, annotating or reassembling the PDF
+      --pdfa                    Write archival PDF/A-2b files
+      --metadata <json>         Metadata overrides, as for the HTTP API
+      --strict                  Fail an input when any of its pages can't be converted
+  -r, --recursive               Look for archives in subdirectories too
+      --force                   Convert even when the output is newer than the input
+      --json                    Print a JSON summary on stdout
+      --settle <seconds>        watch: convert a file once it has been unchanged this long (default: 5)
+  -v, --verbose                 Show conversion logs (on stderr)
+  -h, --help                    Show this help
+
+Exits with status 1 when any input fails to convert, 2 on invalid usage.`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    quality: { type: 'string', short: 'q' },
+    'bg-color': { type: 'string', short: 'b' },
+    pages: { type: 'string', short: 'p' },
+    combine: { type: 'boolean', short: 'c' },
+    name: { type: 'string', short: 'n' },
+    format: { type: 'string', short: 'f' },
+    'page-size': { type: 'string' },
+    'page-width': { type: 'string' },
+    'page-height': { type: 'string' },
+    margin: { type: 'string' },
+    'fit-mode': { type: 'string' },
+    'spread-mode': { type: 'string' },
+    'reading-direction': { type: 'string' },
+    'blank-first-page': { type: 'boolean' },
+    passthrough: { type: 'string' },
+    device: { type: 'string' },
+    dither: { type: 'boolean' },
+    'grayscale-all': { type: 'boolean' },
+    normalize: { type: 'boolean' },
+    'white-point': { type: 'boolean' },
+    sharpen: { type: 'string' },
+    despeckle: { type: 'string' },
+    gamma: { type: 'string' },
+    watermark: { type: 'string' },
+    'watermark-image': { type: 'string' },
+    'watermark-opacity': { type: 'string' },
+    'watermark-position': { type: 'string' },
+    'watermark-rotation': { type: 'string' },
+    'watermark-size': { type: 'string' },
+    'page-numbers': { type: 'string' },
+    'page-number-position': { type: 'string' },
+    header: { type: 'string' },
+    footer: { type: 'string' },
+    'overlay-font': { type: 'string' },
+    'overlay-font-size': { type: 'string' },
+    'overlay-color': { type: 'string' },
+    password: { type: 'string' },
+    'user-password': { type: 'string' },
+    'owner-password': { type: 'string' },
+    'no-print': { type: 'boolean' },
+    'no-copy': { type: 'boolean' },
+    'no-modify': { type: 'boolean' },
+    pdfa: { type: 'boolean' },
+    metadata: { type: 'string' },
+    strict: { type: 'boolean' },
+    recursive: { type: 'boolean', short: 'r' },
+    force: { type: 'boolean' },
+    json: { type: 'boolean' },
+    settle: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+// Turn a --pages value (5-20, 5- or 7) into pageStart/pageEnd fields
+function parsePageRange(value) {
+    const match = /^(\d+)(?:-(\d*))?$/.exec(value.trim());
+    if (!match) {
+        throw new UsageError(`Invalid page range "${value}"`);
+    }
+    const pageStart = match[1];
+    const pageEnd = match[2] === undefined ? match[1] : match[2];
+    return { pageStart, pageEnd: pageEnd || undefined };
+}
+
+// Build the same request body the HTTP API receives, so the core parses options identically
+function buildBody(values) {
+    const body = {
+        quality: values.quality,
+        bgColor: values['bg-color'],
+        format: values.format,
+        pageSize: values['page-size'],
+        pageWidth: values['page-width'],
+        pageHeight: values['page-height'],
+        margin: values.margin,
+        fitMode: values['fit-mode'],
+        spreadMode: values['spread-mode'],
+        readingDirection: values['reading-direction'],
+        blankFirstPage: values['blank-first-page'] ? 'true' : undefined,
+        passthrough: values.passthrough,
+        device: values.device,
+        dither: values.dither ? 'true' : undefined,
+        colorPages: values['grayscale-all'] ? 'grayscale' : undefined,
+        normalize: values.normalize ? 'true' : undefined,
+        whitePoint: values['white-point'] ? 'true' : undefined,
+        sharpen: values.sharpen,
+        despeckle: values.despeckle,
+        gamma: values.gamma,
+        watermark: values.watermark,
+        watermarkOpacity: values['watermark-opacity'],
+        watermarkPosition: values['watermark-position'],
+        watermarkRotation: values['watermark-rotation'],
+        watermarkSize: values['watermark-size'],
+        pageNumbers: values['page-numbers'],
+        pageNumberPosition: values['page-number-position'],
+        header: values.header,
+        footer: values.footer,
+        overlayFontSize: values['overlay-font-size'],
+        overlayColor: values['overlay-color'],
+        password: values.password,
+        userPassword: values['user-password'],
+        ownerPassword: values['owner-password'],
+        allowPrinting: values['no-print'] ? 'false' : undefined,
+        allowCopying: values['no-copy'] ? 'false' : undefined,
+        allowModifying: values['no-modify'] ? 'false' : undefined,
+        pdfa: values.pdfa,
+        metadata: values.metadata,
+        strict: values.strict
+    };
+    if (values.pages) {
+        Object.assign(body, parsePageRange(values.pages));
+    }
+    if (values['watermark-image']) {
+        try {
+            body.watermarkImage = fs.readFileSync(values['watermark-image']);
+        } catch (error) {
+            throw new UsageError(`Cannot read watermark image: ${error.message}`);
+        }
+    }
+    if (values['overlay-font']) {
+        try {
+            body.overlayFont = fs.readFileSync(values['overlay-font']);
+        } catch (error) {
+            throw new UsageError(`Cannot read overlay font: ${error.message}`);
+        }
+    }
+
+    // Fail on bad options before any work starts
+    try {
+        parseLayoutOptions(body);
+        parseMetadataOverrides(body);
+        parseOutputFormat(body);
+        parseEncryptionOptions(body);
+        parsePdfaOption(body);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    return body;
+}
+
+// Regular expression for a glob pattern (*, ?, ** and [...] classes)
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // '**/' matches any number of directories, including none
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Every file below a directory, with its path relative to that directory
+function walkFiles(dir, recursive, relativeDir = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })) {
+        const relativePath = path.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...walkFiles(dir, recursive, relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+// Expand the command-line inputs to { file, relativeDir } entries. relativeDir is the
+// subdirectory an archive was found in below a directory or glob root, mirrored under --output.
+function collectInputs(args, recursive) {
+    const inputs = [];
+    const seen = new Set();
+    const add = (file, relativeDir) => {
+        const resolved = path.resolve(file);
+        if (!seen.has(resolved)) {
+            seen.add(resolved);
+            inputs.push({ file: resolved, relativeDir });
+        }
+    };
+
+    for (const arg of args) {
+        if (/[*?[]/.test(arg)) {
+            // Walk from the part of the pattern before the first wildcard
+            const normalized = arg.split(path.sep).join('/');
+            const staticParts = [];
+            for (const part of normalized.split('/')) {
+                if (/[*?[]/.test(part)) break;
+                staticParts.push(part);
+            }
+            const root = staticParts.join('/') || (normalized.startsWith('/') ? '/' : '.');
+            const pattern = globToRegExp(normalized.slice(staticParts.join('/').length).replace(/^\//, ''));
+            const deep = normalized.includes('**') || recursive;
+            if (!fs.existsSync(root)) continue;
+            for (const relativePath of walkFiles(root, deep)) {
+                if (pattern.test(relativePath.split(path.sep).join('/')) && COMIC_EXTENSION_PATTERN.test(relativePath)) {
+                    add(path.join(root, relativePath), path.dirname(relativePath));
+                }
+            }
+        } else if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+            for (const relativePath of walkFiles(arg, recursive)) {
+                if (COMIC_EXTENSION_PATTERN.test(relativePath)) {
+                    add(path.join(arg, relativePath), path.dirname(relativePath));
+                }
+            }
+        } else if (fs.existsSync(arg)) {
+            add(arg, '.');
+        } else {
+            throw new UsageError(`No such file or directory: ${arg}`);
+        }
+    }
+
+    return inputs;
+}
+
+// An output is up to date when it is at least as new as every input it was made from
+function isUpToDate(output, inputFiles) {
+    if (!fs.existsSync(output)) return false;
+    const outputTime = fs.statSync(output).mtimeMs;
+    return inputFiles.every(file => fs.statSync(file).mtimeMs <= outputTime);
+}
+
+function writeOutput(output, data) {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, data);
+}
+
+// Warn about the pages a conversion report says were left out
+function warnSkippedPages(conversionReport, report) {
+    for (const file of conversionReport.files) {
+        for (const page of file.skippedPages) {
+            report('⚠️ ', `${file.file}: page ${page.page} skipped (${page.reason})`);
+        }
+    }
+}
+
+// Convert each input to its own document, several at a time
+async function convertEach(inputs, body, { outputDir, force }, summary, report) {
+    const format = parseOutputFormat(body);
+    const pending = [];
+
+    for (const input of inputs) {
+        const dir = outputDir ? path.resolve(outputDir, input.relativeDir) : path.dirname(input.file);
+        const output = path.join(dir, outputFileName(path.basename(input.file), format));
+        if (!force && isUpToDate(output, [input.file])) {
+            summary.skipped.push({ input: input.file, output });
+            report('⏭️ ', `${input.file} (up to date)`);
+        } else {
+            pending.push({ ...input, output });
+        }
+    }
+
+    const convertOne = async input => {
+        const result = await convert(input.file, body);
+        writeOutput(input.output, result.data);
+        return result.report;
+    };
+
+    let i = 0;
+    for await (const { value, error } of mapOrdered(pending, CONCURRENCY, convertOne)) {
+        const input = pending[i++];
+        if (error) {
+            summary.failed.push({ input: input.file, error: error.message });
+            report('❌', `${input.file}: ${error.message}`);
+        } else {
+            summary.converted.push({ input: input.file, output: input.output, skippedPages: value.files[0].skippedPages });
+            report('✅', `${input.file} -> ${input.output}`);
+            warnSkippedPages(value, report);
+        }
+    }
+}
+
+// Merge all inputs into one document
+async function convertAllCombined(inputs, body, { outputDir, name, force }, summary, report) {
+    const format = parseOutputFormat(body);
+    const output = path.resolve(outputDir || '.', name || `combined-comic${OUTPUT_FORMATS[format].extension}`);
+    const inputFiles = inputs.map(input => input.file);
+
+    if (!force && isUpToDate(output, inputFiles)) {
+        for (const file of inputFiles) {
+            summary.skipped.push({ input: file, output });
+        }
+        report('⏭️ ', `${output} (up to date)`);
+        return;
+    }
+
+    // Archives that fail are left out of the combined document; collect them for the summary
+    const failed = new Map();
+    let result;
+    try {
+        result = await combine(inputFiles, body).on('file', event => {
+            if (event.status === 'failed') {
+                failed.set(inputFiles[event.fileIndex], event.error);
+            }
+        });
+    } catch (error) {
+        // Nothing was written (strict mode, a missing password, no archive could be read),
+        // so every input failed
+        for (const file of inputFiles) {
+            summary.failed.push({ input: file, error: failed.get(file) || error.message });
+        }
+        report('❌', `${output}: ${error.message}`);
+        return;
+    }
+
+    for (const file of inputFiles) {
+        if (failed.has(file)) {
+            summary.failed.push({ input: file, error: failed.get(file) });
+            report('❌', `${file}: ${failed.get(file)}`);
+        }
+    }
+
+    writeOutput(output, result.data);
+    inputFiles.forEach((file, i) => {
+        if (!failed.has(file)) {
+            summary.converted.push({ input: file, output, skippedPages: result.report.files[i].skippedPages });
+        }
+    });
+    report('✅', `${inputFiles.length - failed.size} archive(s) -> ${output}`);
+    warnSkippedPages(result.report, report);
+}
+
+// Run the watch-folder daemon until SIGINT/SIGTERM; a conversion in progress still finishes
+function watchInbox(args, values) {
+    if (args.length !== 1) {
+        throw new UsageError('watch needs exactly one inbox directory');
+    }
+    const settle = values.settle === undefined ? 5 : Number(values.settle);
+    if (!Number.isFinite(settle) || settle < 0) {
+        throw new UsageError(`Invalid settle time "${values.settle}"`);
+    }
+    const body = buildBody(values);
+
+    const watcher = createWatcher({
+        inbox: args[0],
+        outbox: values.output,
+        preset: body,
+        settleTime: settle * 1000,
+        conversionLog: values.verbose ? console.error : undefined
+    });
+    watcher.start();
+
+    return new Promise(resolve => {
+        const stop = () => {
+            watcher.stop();
+            console.log('👋 Stopped watching');
+            resolve(0);
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+async function main(argv) {
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals[0] === 'watch') {
+        return watchInbox(positionals.slice(1), values);
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('No input files given');
+    }
+    // A combination takes every page of each archive
+    if (values.combine && values.pages) {
+        throw new UsageError('--pages can\'t be used with --combine');
+    }
+
+    const body = { ...buildBody(values), log: values.verbose ? console.error : undefined };
+    const inputs = collectInputs(positionals, values.recursive);
+    if (inputs.length === 0) {
+        throw new UsageError('No comic archives found');
+    }
+
+    const report = (icon, message) => {
+        if (!values.json) console.log(`${icon} ${message}`);
+    };
+
+    const summary = { converted: [], skipped: [], failed: [] };
+    const options = { outputDir: values.output, name: values.name, force: values.force };
+    if (values.combine) {
+        await convertAllCombined(inputs, body, options, summary, report);
+    } else {
+        await convertEach(inputs, body, options, summary, report);
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        console.log(`\n${summary.converted.length} converted, ${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+    }
+
+    return summary.failed.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        if (error instanceof UsageError) {
+            console.error(`cbr2pdf: ${error.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error(`cbr2pdf: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
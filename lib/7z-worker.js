@@ -0,0 +1,26 @@
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const SevenZip = require('7z-wasm');
+
+// Unpacks a 7z archive in a worker thread (see extractImagesFrom7Z), since 7-Zip's WASM build runs
+// synchronously and would otherwise block the event loop for the whole archive.
+// workerData: { filePath, outDir, password }; posts back { exitCode, errors }.
+async function unpack({ filePath, outDir, password }) {
+    const errors = [];
+    // The archive's directory and the output directory are mounted from the real file system,
+    // so neither the archive nor its pages have to fit in WASM memory
+    const sevenZip = await SevenZip({ print: () => {}, printErr: line => errors.push(line) });
+    sevenZip.FS.mkdir('/archive');
+    sevenZip.FS.mount(sevenZip.NODEFS, { root: path.dirname(filePath) }, '/archive');
+    sevenZip.FS.mkdir('/out');
+    sevenZip.FS.mount(sevenZip.NODEFS, { root: outDir }, '/out');
+
+    // -p always gives a password, so 7-Zip never waits for one on stdin
+    const exitCode = sevenZip.callMain(['x', `/archive/${path.basename(filePath)}`, '-o/out', '-y', `-p${password}`]);
+    return { exitCode, errors };
+}
+
+unpack(workerData).then(
+    result => parentPort.postMessage(result),
+    error => parentPort.postMessage({ error: error.message })
+);
@@ -0,0 +1,626 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createExtractorFromFile } = require('node-unrar-js');
+const sharp = require('sharp');
+const yauzl = require('yauzl');
+const { parseComicInfo } = require('./metadata');
+const { decryptZipEntry } = require('./zip-crypto');
+
+// Comic archive extensions and the archive format each one implies
+const COMIC_EXTENSIONS = ['.cbr', '.cbz', '.cb7', '.cbt'];
+const COMIC_EXTENSION_PATTERN = /\.(cbr|cbz|cb7|cbt)$/i;
+const FORMAT_BY_EXTENSION = { '.cbr': 'rar', '.cbz': 'zip', '.cb7': '7z', '.cbt': 'tar' };
+
+// Entries with these extensions are always pages, so a broken image still shows up in the report;
+// any other entry is a page when its first bytes match one of IMAGE_SIGNATURES
+const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|jfif|png|gif|webp|avif|hei[cf]|tiff?|jxl|jp2|j2k|bmp|svg)$/i;
+
+// Bytes read from an entry to recognise its format
+const IMAGE_HEADER_LENGTH = 512;
+
+const HEIF_BRANDS = ['avif', 'avis', 'heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+// Image formats by their first bytes. sharpFormat is the sharp input format that decodes them;
+// whether the installed sharp build can is in sharp.format (BMP, for one, needs ImageMagick).
+const IMAGE_SIGNATURES = [
+    { label: 'JPEG', ext: 'jpg', sharpFormat: 'jpeg', test: header => header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF },
+    { label: 'PNG', ext: 'png', sharpFormat: 'png', test: header => header.readUInt32BE(0) === 0x89504E47 },
+    { label: 'GIF', ext: 'gif', sharpFormat: 'gif', test: header => header.toString('latin1', 0, 4) === 'GIF8' },
+    { label: 'WebP', ext: 'webp', sharpFormat: 'webp', test: header => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP' },
+    { label: 'TIFF', ext: 'tif', sharpFormat: 'tiff', test: header => ['II*\0', 'MM\0*'].includes(header.toString('latin1', 0, 4)) },
+    { label: 'HEIF/AVIF', ext: 'avif', sharpFormat: 'heif', test: header => header.toString('latin1', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(header.toString('latin1', 8, 12)) },
+    { label: 'JPEG XL', ext: 'jxl', sharpFormat: 'jxl', test: header => (header[0] === 0xFF && header[1] === 0x0A) || header.toString('latin1', 4, 8) === 'JXL ' },
+    { label: 'JPEG 2000', ext: 'jp2', sharpFormat: 'jp2k', test: header => header.readUInt32BE(0) === 0xFF4FFF51 || header.toString('latin1', 4, 8) === 'jP  ' },
+    { label: 'BMP', ext: 'bmp', sharpFormat: 'magick', test: header => header.toString('latin1', 0, 2) === 'BM' && [12, 40, 52, 56, 64, 108, 124].includes(header.readUInt32LE(14)) },
+    { label: 'SVG', ext: 'svg', sharpFormat: 'svg', test: header => /^(\uFEFF)?\s*<(\?xml|svg|!--)/.test(header.toString('utf8')) && header.includes('<svg') }
+];
+
+// Error codes of archives that need a password, or another one than was given
+const PASSWORD_ERROR_CODES = ['PASSWORD_REQUIRED', 'PASSWORD_INCORRECT'];
+
+// Raised when an archive is encrypted and the request has no password for it (code PASSWORD_REQUIRED),
+// or the wrong one (PASSWORD_INCORRECT), so clients can ask for it and try again
+class ArchivePasswordError extends Error {
+    constructor(password) {
+        super(password ? 'Incorrect password for this archive' : 'This archive is password protected');
+        this.code = PASSWORD_ERROR_CODES[password ? 1 : 0];
+    }
+}
+
+// Check if buffer is a valid RAR archive
+function isValidRAR(buffer) {
+    if (!buffer || buffer.length < 7) return false;
+    // RAR magic bytes: 52 61 72 21 1A 07 00 (Rar!\x1A\x07\x00)
+    const rarSignature = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00]);
+    return buffer.subarray(0, 7).equals(rarSignature);
+}
+
+// 🔧 FIXED: Check if buffer is a valid ZIP archive
+function isValidZIP(buffer) {
+    if (!buffer || buffer.length < 4) return false;
+    // ZIP magic bytes: 50 4B 03 04 (PK\x03\x04)
+    return buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+// Check if buffer is a valid 7z archive
+function isValid7Z(buffer) {
+    if (!buffer || buffer.length < 6) return false;
+    // 7z magic bytes: 37 7A BC AF 27 1C ('7z\xBC\xAF\x27\x1C)
+    const sevenZipSignature = Buffer.from([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]);
+    return buffer.subarray(0, 6).equals(sevenZipSignature);
+}
+
+// Check if buffer is a valid tar archive
+function isValidTAR(buffer) {
+    if (!buffer || buffer.length < 512) return false;
+    // POSIX and GNU tar headers carry 'ustar' at offset 257
+    return buffer.subarray(257, 262).toString('latin1') === 'ustar';
+}
+
+// Read the first bytes of a file for magic-byte detection
+function readFileHeader(filePath, length = 512) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Image format of some data from its first bytes: one of IMAGE_SIGNATURES plus `decodable`
+// (whether the installed sharp build reads it), or null for anything that isn't an image
+function detectImageFormat(data) {
+    if (!data || data.length < 16) return null;
+    const header = data.subarray(0, IMAGE_HEADER_LENGTH);
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.test(header));
+    if (!signature) return null;
+    const sharpFormat = sharp.format[signature.sharpFormat];
+    return { ...signature, decodable: !!(sharpFormat && sharpFormat.input.buffer) };
+}
+
+// Whether an archive entry is a page; readHeader() is only called for names without an image extension
+async function isImageEntry(name, readHeader) {
+    if (IMAGE_EXTENSION_PATTERN.test(name)) return true;
+    try {
+        return detectImageFormat(await readHeader()) !== null;
+    } catch (error) {
+        // Unreadable entries without an image extension aren't counted as pages
+        return false;
+    }
+}
+
+// Relative path for an archive entry on disk, without '..' or absolute components
+function safeEntryPath(name) {
+    return name.split(/[\\\/]+/).filter(part => part && part !== '.' && part !== '..').join(path.sep);
+}
+
+// Every extractor below returns an open archive: { imageFiles, comicInfo, readImage, close }.
+// readImage(name) resolves to one image's data, so only the page being rendered is held in memory;
+// close() releases file handles and removes anything unpacked to a temporary directory.
+// Encrypted archives are opened with `password`; without it (or with a wrong one) extractors throw
+// an ArchivePasswordError before reading any page.
+
+// Private directory under the system temp directory for an archive to be unpacked into, so inputs
+// in read-only folders work and two conversions of the same file don't share one
+function createWorkDir() {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'cbr2pdf-'));
+}
+
+// Run an unpacking worker (7z-worker.js, rar-worker.js) with workerData; resolves to the result it
+// posts, or rejects with the error it reports
+function runWorker(script, workerData) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, script), { workerData });
+        worker.once('message', result => result.error
+            ? reject(Object.assign(new Error(result.error), { reason: result.reason }))
+            : resolve(result));
+        worker.once('error', reject);
+        // Only settles the promise when the worker ended without a result
+        worker.once('exit', code => reject(new Error(`${script} exited with code ${code}`)));
+    });
+}
+
+// Run 7-Zip (compiled to WASM) in a worker thread to unpack an archive into outDir; resolves to
+// { exitCode, errors } with the lines 7-Zip printed to stderr
+function run7Zip(filePath, outDir, password) {
+    return runWorker('7z-worker.js', { filePath, outDir, password });
+}
+
+// Unpack the named files of a RAR archive into outDir in a worker thread
+function runUnrar(filePath, outDir, password, files) {
+    return runWorker('rar-worker.js', { filePath, outDir, password, files });
+}
+
+async function extractImagesFromRAR(filePath, password = '') {
+    let workDir = null;
+    let encrypted = false;
+    try {
+        workDir = await createWorkDir();
+        // Listed here; files are unpacked by runUnrar straight to disk, and nothing but the current
+        // page is read back into memory
+        const extractor = await createExtractorFromFile({ filepath: filePath, password });
+        
+        // Archives with encrypted headers can't be listed without the password
+        const list = extractor.getFileList();
+        encrypted = list.arcHeader.flags.headerEncrypted;
+        const imageFiles = [];
+        const otherFiles = [];
+        let comicInfoName = null;
+        let firstEncryptedFile = null;
+        
+        for (const fileHeader of list.fileHeaders) {
+            if (fileHeader.flags.directory) continue;
+            if (fileHeader.flags.encrypted) {
+                encrypted = true;
+                firstEncryptedFile = firstEncryptedFile || fileHeader.name;
+            }
+            if (IMAGE_EXTENSION_PATTERN.test(fileHeader.name)) {
+                imageFiles.push(fileHeader.name);
+            } else if (/(^|[\\\/])ComicInfo\.xml$/i.test(fileHeader.name)) {
+                comicInfoName = fileHeader.name;
+            } else {
+                otherFiles.push(fileHeader.name);
+            }
+        }
+        
+        // Check the password on the archive's first encrypted file, which is quick to unpack even
+        // from solid archives
+        if (firstEncryptedFile) {
+            if (!password) {
+                throw new ArchivePasswordError(password);
+            }
+            await runUnrar(filePath, workDir, password, [firstEncryptedFile]);
+        }
+        
+        // ComicInfo.xml and files without an image extension are unpacked first to be looked at
+        const inspectFiles = comicInfoName ? [comicInfoName, ...otherFiles] : otherFiles;
+        if (inspectFiles.length > 0) {
+            await runUnrar(filePath, workDir, password, inspectFiles);
+        }
+        
+        let comicInfo = null;
+        if (comicInfoName) {
+            comicInfo = parseComicInfo(fs.readFileSync(path.join(workDir, safeEntryPath(comicInfoName)), 'utf8'));
+        }
+        for (const name of otherFiles) {
+            if (await isImageEntry(name, () => readFileHeader(path.join(workDir, safeEntryPath(name)), IMAGE_HEADER_LENGTH))) {
+                imageFiles.push(name);
+            }
+        }
+        
+        // Solid archives can only be decompressed front to back, so all pages are
+        // unpacked in one pass on first use rather than once per page
+        let unpacking = null;
+        const readImage = async imagePath => {
+            unpacking = unpacking || runUnrar(filePath, workDir, password, imageFiles);
+            await unpacking;
+            return fs.promises.readFile(path.join(workDir, safeEntryPath(imagePath)));
+        };
+        
+        return {
+            imageFiles,
+            comicInfo,
+            readImage,
+            close: () => fs.rmSync(workDir, { recursive: true, force: true })
+        };
+    } catch (error) {
+        if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+        // A wrong password shows up as damaged data in archives without a password check value
+        const reason = error.reason;
+        if (error instanceof ArchivePasswordError || reason === 'ERAR_MISSING_PASSWORD' || reason === 'ERAR_BAD_PASSWORD' ||
+            (encrypted && reason === 'ERAR_BAD_DATA')) {
+            throw new ArchivePasswordError(password);
+        }
+        throw new Error(`Failed to extract RAR archive: ${error.message}`);
+    }
+}
+
+function openZipFile(filePath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+            if (error) reject(error);
+            else resolve(zipFile);
+        });
+    });
+}
+
+function readZipEntries(zipFile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipFile.on('entry', entry => {
+            entries.push(entry);
+            zipFile.readEntry();
+        });
+        zipFile.on('end', () => resolve(entries));
+        zipFile.on('error', reject);
+        zipFile.readEntry();
+    });
+}
+
+// Read an entry's data as stored (options.decodeFileData false) or decoded, or only its first `limit` bytes
+function readZipStream(zipFile, entry, limit = Infinity, options = {}) {
+    return new Promise((resolve, reject) => {
+        zipFile.openReadStream(entry, options, (error, stream) => {
+            if (error) return reject(error);
+            const chunks = [];
+            let length = 0;
+            stream.on('data', chunk => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= limit) {
+                    stream.destroy();
+                    resolve(Buffer.concat(chunks).subarray(0, limit));
+                }
+            });
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        });
+    });
+}
+
+// Read an entry's data, or only its first `limit` bytes. Encrypted entries are read whole and
+// decrypted with the password.
+async function readZipEntry(zipFile, entry, limit = Infinity, password = '') {
+    if (!entry.isEncrypted()) {
+        return readZipStream(zipFile, entry, limit);
+    }
+    if (!password) {
+        throw new ArchivePasswordError(password);
+    }
+    const data = decryptZipEntry(entry, await readZipStream(zipFile, entry, Infinity, { decodeFileData: false }), password);
+    if (!data) {
+        throw new ArchivePasswordError(password);
+    }
+    return data.subarray(0, limit);
+}
+
+async function extractImagesFromZIP(filePath, password = '') {
+    let zipFile;
+    try {
+        // Only the central directory is read up front; entries are inflated on demand
+        zipFile = await openZipFile(filePath);
+        
+        const imageEntries = {};
+        const imageFiles = [];
+        let comicInfo = null;
+        
+        const entries = (await readZipEntries(zipFile)).filter(entry => !entry.fileName.endsWith('/'));
+        const readEntry = (entry, limit) => readZipEntry(zipFile, entry, limit, password);
+        
+        // Check the password on the first encrypted entry, before unreadable entries are taken for non-pages
+        const encryptedEntry = entries.find(entry => entry.isEncrypted());
+        if (encryptedEntry) {
+            await readEntry(encryptedEntry);
+        }
+        
+        for (const entry of entries) {
+            const baseName = entry.fileName.split('/').pop();
+            if (/^ComicInfo\.xml$/i.test(baseName)) {
+                comicInfo = parseComicInfo((await readEntry(entry)).toString('utf8'));
+            } else if (await isImageEntry(baseName, () => readEntry(entry, IMAGE_HEADER_LENGTH))) {
+                // Full path keeps same-named pages in different chapter folders apart
+                imageFiles.push(entry.fileName);
+                imageEntries[entry.fileName] = entry;
+            }
+        }
+        
+        return {
+            imageFiles,
+            comicInfo,
+            readImage: async imagePath => readEntry(imageEntries[imagePath]),
+            close: () => zipFile.close()
+        };
+    } catch (error) {
+        if (zipFile) zipFile.close();
+        if (error instanceof ArchivePasswordError) throw error;
+        throw new Error(`Failed to extract ZIP archive: ${error.message}`);
+    }
+}
+
+async function extractImagesFrom7Z(filePath, password = '') {
+    let workDir = null;
+    try {
+        workDir = await createWorkDir();
+        const { exitCode, errors } = await run7Zip(filePath, workDir, password);
+        if (errors.some(line => /Wrong password/i.test(line))) {
+            throw new ArchivePasswordError(password);
+        }
+        if (exitCode !== 0) {
+            throw new Error(`7-Zip exited with code ${exitCode}`);
+        }
+        
+        const imageFiles = [];
+        const otherFiles = [];
+        let comicInfo = null;
+        
+        const walk = (dir, prefix) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = path.join(dir, entry.name);
+                const entryName = prefix ? `${prefix}/${entry.name}` : entry.name;
+                
+                if (entry.isDirectory()) {
+                    walk(fullPath, entryName);
+                } else if (!entry.isFile()) {
+                    continue;
+                } else if (/^ComicInfo\.xml$/i.test(entry.name)) {
+                    comicInfo = parseComicInfo(fs.readFileSync(fullPath, 'utf8'));
+                } else {
+                    otherFiles.push({ entryName, fullPath });
+                }
+            }
+        };
+        walk(workDir, '');
+        
+        for (const { entryName, fullPath } of otherFiles) {
+            if (await isImageEntry(entryName, () => readFileHeader(fullPath, IMAGE_HEADER_LENGTH))) {
+                imageFiles.push(entryName);
+            }
+        }
+        
+        return {
+            imageFiles,
+            comicInfo,
+            readImage: async imagePath => fs.promises.readFile(path.join(workDir, imagePath)),
+            close: () => fs.rmSync(workDir, { recursive: true, force: true })
+        };
+    } catch (error) {
+        if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+        if (error instanceof ArchivePasswordError) throw error;
+        throw new Error(`Failed to extract 7z archive: ${error.message}`);
+    }
+}
+
+// Parse a numeric tar header field (octal, or base-256 for large values)
+function readTarNumber(field) {
+    if (field[0] & 0x80) {
+        let value = field[0] & 0x7F;
+        for (let i = 1; i < field.length; i++) {
+            value = value * 256 + field[i];
+        }
+        return value;
+    }
+    return parseInt(field.toString('latin1').replace(/[\0 ]+$/, '').trim() || '0', 8);
+}
+
+// A tar header's checksum is the sum of its bytes, with the checksum field counted as spaces; some old
+// tar programs summed signed bytes. Anything else isn't a tar header.
+function hasValidTarChecksum(header) {
+    const checksum = readTarNumber(header.subarray(148, 156));
+    let unsigned = 0;
+    let signed = 0;
+    for (let i = 0; i < 512; i++) {
+        const byte = i >= 148 && i < 156 ? 0x20 : header[i];
+        unsigned += byte;
+        signed += byte > 127 ? byte - 256 : byte;
+    }
+    return checksum === unsigned || checksum === signed;
+}
+
+// Read { name, offset, size } entries from an open tar file (ustar, GNU long names and pax paths).
+// Only headers are read; entry data stays on disk.
+function readTarEntries(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+    
+    const readBytes = (position, length) => {
+        const data = Buffer.alloc(length);
+        fs.readSync(fd, data, 0, length, position);
+        return data;
+    };
+    
+    while (offset + 512 <= fileSize) {
+        const header = readBytes(offset, 512);
+        if (header.every(byte => byte === 0)) break;
+        if (!hasValidTarChecksum(header)) {
+            throw new Error(`Invalid tar header at offset ${offset}`);
+        }
+        
+        const readString = (start, length) => {
+            const field = header.subarray(start, start + length);
+            const end = field.indexOf(0);
+            return field.subarray(0, end === -1 ? length : end).toString('utf8');
+        };
+        
+        const size = readTarNumber(header.subarray(124, 136));
+        const type = String.fromCharCode(header[156] || 0x30);
+        const dataStart = offset + 512;
+        offset = dataStart + Math.ceil(size / 512) * 512;
+        
+        if (type === 'L') {
+            longName = readBytes(dataStart, size).toString('utf8').replace(/\0+$/, '');
+            continue;
+        }
+        if (type === 'x') {
+            const pathRecord = readBytes(dataStart, size).toString('utf8').match(/\d+ path=([^\n]*)\n/);
+            if (pathRecord) longName = pathRecord[1];
+            continue;
+        }
+        
+        let name = readString(0, 100);
+        const prefix = readString(345, 155);
+        if (prefix && readString(257, 6) === 'ustar') {
+            name = `${prefix}/${name}`;
+        }
+        if (longName) {
+            name = longName;
+            longName = null;
+        }
+        
+        if (type === '0' || type === '\0' || type === '7') {
+            entries.push({ name: name.replace(/^\.\//, ''), offset: dataStart, size });
+        }
+    }
+    
+    return entries;
+}
+
+async function extractImagesFromTAR(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const imageEntries = {};
+        const imageFiles = [];
+        let comicInfo = null;
+        
+        const readEntry = (entry, limit = entry.size) => {
+            const data = Buffer.alloc(Math.min(limit, entry.size));
+            fs.readSync(fd, data, 0, data.length, entry.offset);
+            return data;
+        };
+        
+        for (const entry of readTarEntries(fd)) {
+            const baseName = entry.name.split('/').pop();
+            if (/^ComicInfo\.xml$/i.test(baseName)) {
+                comicInfo = parseComicInfo(readEntry(entry).toString('utf8'));
+            } else if (await isImageEntry(baseName, () => readEntry(entry, IMAGE_HEADER_LENGTH))) {
+                imageFiles.push(entry.name);
+                imageEntries[entry.name] = entry;
+            }
+        }
+        
+        return {
+            imageFiles,
+            comicInfo,
+            readImage: async imagePath => readEntry(imageEntries[imagePath]),
+            close: () => fs.closeSync(fd)
+        };
+    } catch (error) {
+        fs.closeSync(fd);
+        throw new Error(`Failed to extract TAR archive: ${error.message}`);
+    }
+}
+
+// Natural sort on the full path so pages stay grouped by (chapter) folder
+function naturalSort(a, b) {
+    const fileA = a.replace(/\\/g, '/').toLowerCase();
+    const fileB = b.replace(/\\/g, '/').toLowerCase();
+    
+    const aaParts = fileA.match(/(\d+|\D+)/g) || [];
+    const bParts = fileB.match(/(\d+|\D+)/g) || [];
+    
+    for (let i = 0; i < Math.max(aaParts.length, bParts.length); i++) {
+        const partA = aaParts[i] || '';
+        const partB = bParts[i] || '';
+        
+        if (/^\d+$/.test(partA) && /^\d+$/.test(partB)) {
+            const numA = parseInt(partA, 10);
+            const numB = parseInt(partB, 10);
+            if (numA !== numB) return numA - numB;
+        } else {
+            if (partA !== partB) return partA.localeCompare(partB);
+        }
+    }
+    return 0;
+}
+
+// Extractors and log labels for each supported archive format
+const ARCHIVE_FORMATS = {
+    rar: { label: 'RAR', extract: extractImagesFromRAR },
+    zip: { label: 'ZIP', extract: extractImagesFromZIP },
+    '7z': { label: '7Z', extract: extractImagesFrom7Z },
+    tar: { label: 'TAR', extract: extractImagesFromTAR }
+};
+
+// Detect archive format from magic bytes
+function detectArchiveFormat(buffer) {
+    if (isValidRAR(buffer)) return 'rar';
+    if (isValidZIP(buffer)) return 'zip';
+    if (isValid7Z(buffer)) return '7z';
+    if (isValidTAR(buffer)) return 'tar';
+    return null;
+}
+
+// Open an uploaded archive from disk: auto-detect type by magic bytes, fallback to extension.
+// Returns { imageFiles, comicInfo, readImage, close }; callers must close() it when done.
+// `password` opens encrypted RAR, ZIP and 7z archives (see ArchivePasswordError); `log` receives
+// progress messages.
+async function openArchive(filePath, fileName, password = '', log = () => {}) {
+    const ext = path.extname(fileName).toLowerCase();
+    password = password ? String(password) : '';
+    
+    //Try to detect by magic bytes first
+    const detectedFormat = detectArchiveFormat(readFileHeader(filePath));
+    
+    // Determine which extractor to use
+    const format = detectedFormat || FORMAT_BY_EXTENSION[ext];
+    if (!format) {
+        throw new Error('Cannot determine archive type. File may be corrupted.');
+    }
+    
+    let archive;
+    try {
+        log(`📦 Detected ${ARCHIVE_FORMATS[format].label} archive format`);
+        archive = await ARCHIVE_FORMATS[format].extract(filePath, password);
+    } catch (error) {
+        log('Archive extraction error:', error.message);
+        
+        // If the format only came from the extension, try the other formats
+        if (detectedFormat || error instanceof ArchivePasswordError) {
+            throw error;
+        }
+        
+        for (const alternative of Object.keys(ARCHIVE_FORMATS).filter(name => name !== format)) {
+            log(`⚠️  ${ARCHIVE_FORMATS[format].label} detection failed, trying ${ARCHIVE_FORMATS[alternative].label}...`);
+            try {
+                archive = await ARCHIVE_FORMATS[alternative].extract(filePath, password);
+                break;
+            } catch (alternativeError) {
+                // Keep trying the remaining formats
+            }
+        }
+        
+        // Neither the content nor any extractor recognised the file
+        if (!archive) {
+            throw new Error('Not a supported archive: the file is not a RAR, ZIP, 7z or TAR archive, or it is damaged');
+        }
+    }
+    
+    // Sort images
+    archive.imageFiles.sort(naturalSort);
+    
+    if (archive.imageFiles.length === 0) {
+        archive.close();
+        throw new Error('No images found in archive file');
+    }
+    
+    log(`✅ Found ${archive.imageFiles.length} images`);
+    return archive;
+}
+
+module.exports = {
+    PASSWORD_ERROR_CODES,
+    ArchivePasswordError,
+    COMIC_EXTENSIONS,
+    COMIC_EXTENSION_PATTERN,
+    IMAGE_SIGNATURES,
+    naturalSort,
+    detectArchiveFormat,
+    detectImageFormat,
+    safeEntryPath,
+    openArchive
+};
@@ -0,0 +1,626 @@
+const path = require('path');
+const archiver = require('archiver');
+const { PDFDocument } = require('pdf-lib');
+const {
+    mergeComicInfo,
+    parseMetadataOverrides,
+    buildPdfMetadata,
+    applyPdfMetadata
+} = require('./metadata');
+const { buildArchiveBookmarks, addOutline } = require('./outline');
+const { EpubDocument } = require('./epub');
+const { DEFAULT_CONCURRENCY, createLimiter, mapOrdered } = require('./pool');
+const { COMIC_EXTENSION_PATTERN, ArchivePasswordError, openArchive } = require('./archive');
+const {
+    StrictModeError,
+    parseStrict,
+    createReport,
+    addFileReport,
+    skipPage,
+    failFile,
+    finishReport
+} = require('./report');
+const {
+    parseLayoutOptions,
+    resolveReadingDirection,
+    combinedReadingDirection,
+    applyReadingOptions,
+    prepareImagePages,
+    prepareBlankPage,
+    placeImagePages
+} = require('./render');
+const { parseEnhanceOptions } = require('./enhance');
+const { parsePageTransform } = require('./transform');
+const { parsePageOverlays, drawOverlays } = require('./overlays');
+const { parseEncryptionOptions, encryptPdf } = require('./encrypt');
+const { parsePdfaOption, applyPdfa } = require('./pdfa');
+
+// Images (and batch files) processed at once; CONVERT_CONCURRENCY, default one per core
+const CONCURRENCY = parseInt(process.env.CONVERT_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+// Shared by all requests, so concurrent conversions don't oversubscribe the CPU between them
+const limitImageWork = createLimiter(CONCURRENCY);
+
+// Output formats every conversion endpoint can write (`format` field)
+const OUTPUT_FORMATS = {
+    pdf: { extension: '.pdf', contentType: 'application/pdf' },
+    epub: { extension: '.epub', contentType: 'application/epub+zip' }
+};
+
+function parseOutputFormat(body = {}) {
+    const format = (body.format || 'pdf').toLowerCase();
+    if (!OUTPUT_FORMATS[format]) {
+        throw new Error(`format must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+// Output file name for a source archive in the given format
+function outputFileName(fileName, format) {
+    return fileName.replace(COMIC_EXTENSION_PATTERN, OUTPUT_FORMATS[format].extension);
+}
+
+async function createOutputDocument(format) {
+    return format === 'epub' ? new EpubDocument() : await PDFDocument.create();
+}
+
+// Write overlays, metadata and bookmarks into a PDF or EPUB document, then serialise it.
+// Overlays (layout.overlays) go on the pages in overlayPages, as collected by renderPages; EPUB
+// pages don't get them. PDFs are encrypted last when `encryption` (parseEncryptionOptions) is set,
+// and made PDF/A-2b when `pdfa` is.
+async function saveOutputDocument(doc, { metadata = null, bookmarks = [], overlays = null, overlayPages = null, encryption = null, pdfa = false } = {}) {
+    if (doc instanceof EpubDocument) {
+        doc.setMetadata(metadata);
+        doc.setToc(bookmarks);
+        return doc.save();
+    }
+    
+    await drawOverlays(doc, overlays, overlayPages);
+    addOutline(doc, bookmarks);
+    if (pdfa) {
+        applyPdfa(doc, metadata || {});
+    } else if (metadata) {
+        applyPdfMetadata(doc, metadata);
+    }
+    if (encryption) {
+        await encryptPdf(doc, encryption);
+        return doc.save({ useObjectStreams: false });
+    }
+    return doc.save();
+}
+
+// Title used when an archive has no ComicInfo.xml
+function titleFromFileName(fileName) {
+    return path.basename(fileName, path.extname(fileName));
+}
+
+// Bookmark for one source archive in a combined PDF, with its folders/chapters nested below.
+// firstPages maps image paths to the first page rendered from them, in render order.
+function archiveBookmark(fileName, imageFiles, firstPages, comicInfo) {
+    return {
+        title: buildPdfMetadata(comicInfo, { fallbackTitle: titleFromFileName(fileName) }).title,
+        page: firstPages.values().next().value,
+        children: buildArchiveBookmarks(imageFiles, imagePath => firstPages.get(imagePath), comicInfo)
+    };
+}
+
+// Read one page image from an archive and prepare its pages in the shared image pool.
+// Used as a mapOrdered() task so several pages are decoded and re-encoded at once. The page is
+// only read once it has a slot in the pool, so however many files and pages are waiting, at most
+// CONCURRENCY raw images are in memory.
+// Errors get the report kind of the step that failed (unreadable or undecodable).
+function preparePagesFromArchive(archive, imagePath, options) {
+    return limitImageWork(async () => {
+        let imageBuffer;
+        try {
+            imageBuffer = await archive.readImage(imagePath);
+        } catch (error) {
+            throw Object.assign(error, { kind: 'unreadable' });
+        }
+        try {
+            return await prepareImagePages(imageBuffer, options);
+        } catch (error) {
+            throw Object.assign(error, { kind: 'undecodable' });
+        }
+    });
+}
+
+// Stop a conversion between pages once its job has been cancelled
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new Error('Conversion cancelled');
+    }
+}
+
+// Zip { name, data } entries into a single Buffer
+function createZipBuffer(entries) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+        
+        for (const entry of entries) {
+            archive.append(entry.data, { name: entry.name });
+        }
+        archive.finalize();
+    });
+}
+
+// Pages to render from an archive as { imagePath, index, bgColor, half, enhance, transform, overlays }
+// entries: the editor's selection of { index, included, bgColor, half, enhance, rotate, deskew, crop,
+// overlays } items when there is one, in the order given, otherwise every image. A page's enhance object
+// overrides the conversion's enhancement options it sets; rotate, deskew and crop become its transform
+// (see parsePageTransform); overlays switches the conversion's overlays off (see parsePageOverlays).
+// { blank: true, bgColor } items become blank pages. In combined conversions, `sources` maps file names
+// to open archives, and items with a `file` name take their page from that archive (in `archive`).
+// Selected pages the archive doesn't have are reported as missing.
+function selectPages(imageFiles, selection, bgColor, fileReport = null, sources = null) {
+    if (!selection) {
+        return imageFiles.map((imagePath, index) => ({ imagePath, index, bgColor }));
+    }
+    
+    const pages = [];
+    for (const page of selection.filter(page => page.included !== false)) {
+        if (page.blank) {
+            pages.push({ blank: true, imagePath: null, index: null, bgColor: page.bgColor || bgColor, overlays: parsePageOverlays(page) });
+            continue;
+        }
+        
+        const moved = !!(page.file && sources);
+        const archive = moved ? sources.get(page.file) : null;
+        if (moved && !archive) {
+            const reason = sources.has(page.file) ? `${page.file} could not be opened` : `${page.file} is not one of the files being converted`;
+            if (fileReport) skipPage(fileReport, { page: page.index + 1, half: page.half, source: page.file, kind: 'missing', reason });
+            continue;
+        }
+        const imagePath = (archive ? archive.imageFiles : imageFiles)[page.index];
+        if (!imagePath) {
+            if (fileReport) skipPage(fileReport, { page: page.index + 1, half: page.half, source: page.file, kind: 'missing', reason: 'Page is not in the archive' });
+            continue;
+        }
+        
+        pages.push({
+            imagePath,
+            index: page.index,
+            archive,
+            source: archive ? page.file : undefined,
+            bgColor: page.bgColor || bgColor,
+            half: page.half,
+            enhance: page.enhance ? parseEnhanceOptions(page.enhance, {}) : null,
+            transform: parsePageTransform(page),
+            overlays: parsePageOverlays(page)
+        });
+    }
+    return pages;
+}
+
+// With the strict option, the first skipped page fails the whole conversion
+function throwIfStrict(strict, fileReport) {
+    const [skipped] = fileReport.skippedPages;
+    if (strict && skipped) {
+        throw new StrictModeError(`Page ${skipped.page} of ${fileReport.file} could not be converted: ${skipped.reason}`);
+    }
+}
+
+// Render pages of an open archive into a document. Up to CONCURRENCY pages are read and
+// re-encoded at once; pages are still added in order. Returns the first document page
+// rendered from each image path, for bookmarks. Converted and skipped pages go into fileReport;
+// blank pages and pages from other archives (page.archive) don't count for either map.
+// When layout.overlays is set, the document pages that get them are added to overlayPages
+// with the ComicInfo and name of their archive (fileName for this one).
+async function renderPages(doc, archive, pages, { quality, layout, format, fileReport, fileName = '', overlayPages = null, strict = false, onProgress = () => {}, signal = null, log = () => {} }) {
+    const firstPages = new Map();
+    const preparePage = async page => page.blank ? [prepareBlankPage({ bgColor: page.bgColor, layout })] : preparePagesFromArchive(page.archive || archive, page.imagePath, {
+        bgColor: page.bgColor,
+        half: page.half,
+        enhance: page.enhance,
+        transform: page.transform,
+        quality,
+        layout,
+        epub: format === 'epub'
+    });
+    
+    let i = 0;
+    for await (const { value, error } of mapOrdered(pages, CONCURRENCY, preparePage)) {
+        const { imagePath, index, half, blank, source, overlays } = pages[i++];
+        throwIfCancelled(signal);
+        log(`${i}. ${blank ? '(blank page)' : source ? `${source}: ${imagePath}` : imagePath}`);
+        try {
+            if (error) throw error;
+            const placed = await placeImagePages(doc, value);
+            if (layout.overlays && overlayPages) {
+                const { comicInfo } = pages[i - 1].archive || archive;
+                for (const docPage of placed) {
+                    overlayPages.set(docPage, { comicInfo, fileName: source || fileName, overlays });
+                }
+            }
+            if (!blank) {
+                if (!source && !firstPages.has(imagePath)) {
+                    firstPages.set(imagePath, placed[0]);
+                }
+                fileReport.pagesConverted += placed.length;
+            }
+        } catch (err) {
+            log(`Error processing image ${imagePath}:`, err.message);
+            skipPage(fileReport, { page: index + 1, image: imagePath, half, source, kind: err.kind, reason: err.message });
+            throwIfStrict(strict, fileReport);
+        }
+        onProgress({ type: 'page', page: i, pageCount: pages.length });
+    }
+    
+    return firstPages;
+}
+
+// Render pages of an open archive into a new document and serialise it
+async function createDocumentFromImages(archive, pages, { bgColor = 'white', quality = 75, layout = parseLayoutOptions(), pdfMetadata = null, comicInfo = null, format = 'pdf', fileName = '', encryption = null, pdfa = false, fileReport, strict = false, onProgress = () => {}, signal = null, log = () => {} } = {}) {
+    const pdfDoc = await createOutputDocument(format);
+    const overlayPages = new Map();
+    const firstPages = await renderPages(pdfDoc, archive, pages, { quality, layout, format, fileReport, fileName, overlayPages, strict, onProgress, signal, log });
+    
+    log(`✅ Total images rendered: ${firstPages.size}\n`);
+    
+    applyReadingOptions(pdfDoc, { ...layout, bgColor });
+    onProgress({ type: 'saving' });
+    
+    return await saveOutputDocument(pdfDoc, {
+        metadata: pdfMetadata,
+        bookmarks: buildArchiveBookmarks(archive.imageFiles, imagePath => firstPages.get(imagePath), comicInfo),
+        overlays: layout.overlays,
+        overlayPages,
+        encryption,
+        pdfa
+    });
+}
+
+// Convert one archive: the pages picked in the editor (file.pages), or a page range of it.
+// Returns { data, fileName, contentType, report }; onProgress receives file/page events.
+// Errors carry the report so far in error.report.
+async function convertSingleFile(file, body, { onProgress = () => {}, signal = null, log = () => {} } = {}) {
+    const bgColor = body.bgColor || 'white';
+    const quality = parseInt(body.quality) || 75;
+    const layout = parseLayoutOptions(body);
+    const metadataOverrides = parseMetadataOverrides(body);
+    const format = parseOutputFormat(body);
+    const strict = parseStrict(body);
+    const encryption = parseEncryptionOptions(body);
+    const pdfa = parsePdfaOption(body);
+    let pageStart = parseInt(body.pageStart) || 1;
+    let pageEnd = parseInt(body.pageEnd) || undefined;
+    
+    const report = createReport();
+    const fileReport = addFileReport(report, file.originalname);
+    const fileProgress = { file: file.originalname, fileIndex: 0, fileCount: 1 };
+    onProgress({ type: 'file', status: 'started', ...fileProgress });
+    
+    let pdfBytes;
+    try {
+        const archive = await openArchive(file.path, file.originalname, body.password, log);
+        const { imageFiles, comicInfo } = archive;
+        try {
+            const fileLayout = resolveReadingDirection(layout, comicInfo);
+            let pages;
+            
+            if (file.pages) {
+                pages = selectPages(imageFiles, file.pages, bgColor, fileReport);
+                throwIfStrict(strict, fileReport);
+                log(`📝 Converting ${pages.length} selected pages from ${imageFiles.length} total pages`);
+            } else {
+                if (!pageEnd || pageEnd > imageFiles.length) {
+                    pageEnd = imageFiles.length;
+                }
+                
+                pageStart = Math.max(1, Math.min(pageStart, imageFiles.length));
+                pageEnd = Math.max(pageStart, Math.min(pageEnd, imageFiles.length));
+                
+                pages = selectPages(imageFiles, null, bgColor).slice(pageStart - 1, pageEnd);
+                log(`📄 Converting pages ${pageStart} to ${pageEnd} (Total: ${pages.length} pages)`);
+            }
+            
+            const pdfMetadata = buildPdfMetadata(comicInfo, {
+                fallbackTitle: titleFromFileName(file.originalname),
+                overrides: metadataOverrides
+            });
+            pdfBytes = await createDocumentFromImages(archive, pages, {
+                bgColor,
+                quality,
+                layout: fileLayout,
+                pdfMetadata,
+                comicInfo,
+                format,
+                fileName: file.originalname,
+                encryption,
+                pdfa,
+                fileReport,
+                strict,
+                onProgress: event => onProgress({ ...event, ...fileProgress }),
+                signal,
+                log
+            });
+        } finally {
+            archive.close();
+        }
+    } catch (error) {
+        failFile(fileReport, error);
+        error.report = finishReport(report);
+        throw error;
+    }
+    
+    const fileName = outputFileName(file.originalname, format);
+    onProgress({ type: 'file', status: 'done', ...fileProgress });
+    log(`✅ Conversion completed: ${fileName}\n`);
+    
+    return { data: Buffer.from(pdfBytes), fileName, contentType: OUTPUT_FORMATS[format].contentType, report: finishReport(report) };
+}
+
+// Convert several archives (or their file.pages selections) to one document each; more than one
+// result is zipped together with a report.json. Archives that fail are left out unless `strict` is set,
+// but one that needs a password (or another one) fails the whole batch, so it can be retried with it.
+async function convertBatch(files, body, { onProgress = () => {}, signal = null, log = () => {} } = {}) {
+    const bgColor = body.bgColor || 'white';
+    const quality = parseInt(body.quality) || 75;
+    const layout = parseLayoutOptions(body);
+    const metadataOverrides = parseMetadataOverrides(body);
+    const format = parseOutputFormat(body);
+    const strict = parseStrict(body);
+    const encryption = parseEncryptionOptions(body);
+    const pdfa = parsePdfaOption(body);
+    const report = createReport();
+    
+    log(`\n📦 Starting batch conversion of ${files.length} files...`);
+    
+    const fileProgressOf = (file, i) => ({ file: file.originalname, fileIndex: i, fileCount: files.length });
+    
+    const convertFile = async (file, i) => {
+        const fileProgress = fileProgressOf(file, i);
+        const fileReport = addFileReport(report, file.originalname, i);
+        throwIfCancelled(signal);
+        onProgress({ type: 'file', status: 'started', ...fileProgress });
+        log(`[${i + 1}/${files.length}] Processing: ${file.originalname}`);
+        
+        const archive = await openArchive(file.path, file.originalname, body.password, log);
+        const { imageFiles, comicInfo } = archive;
+        const fileLayout = resolveReadingDirection(layout, comicInfo);
+        
+        const pdfMetadata = buildPdfMetadata(comicInfo, {
+            fallbackTitle: titleFromFileName(file.originalname),
+            overrides: metadataOverrides
+        });
+        
+        let pdfBytes;
+        try {
+            const pages = selectPages(imageFiles, file.pages, bgColor, fileReport);
+            throwIfStrict(strict, fileReport);
+            pdfBytes = await createDocumentFromImages(archive, pages, {
+                bgColor,
+                quality,
+                layout: fileLayout,
+                pdfMetadata,
+                comicInfo,
+                format,
+                fileName: file.originalname,
+                encryption,
+                pdfa,
+                fileReport,
+                strict,
+                onProgress: event => onProgress({ ...event, ...fileProgress }),
+                signal,
+                log
+            });
+        } finally {
+            archive.close();
+        }
+        const pdfFileName = outputFileName(file.originalname, format);
+        
+        onProgress({ type: 'file', status: 'done', ...fileProgress });
+        log(`✅ ${pdfFileName} created`);
+        
+        return {
+            name: pdfFileName,
+            data: Buffer.from(pdfBytes)
+        };
+    };
+    
+    // Several files are converted at once; their page work shares the same image pool
+    const pdfBuffers = [];
+    let i = 0;
+    
+    try {
+        for await (const { value, error } of mapOrdered(files, CONCURRENCY, convertFile)) {
+            const file = files[i++];
+            throwIfCancelled(signal);
+            if (error) {
+                log(`❌ Error converting ${file.originalname}:`, error.message);
+                failFile(report.files[i - 1], error);
+                if (error instanceof StrictModeError || error instanceof ArchivePasswordError) throw error;
+                if (strict) throw new StrictModeError(`${file.originalname} could not be converted: ${error.message}`);
+                onProgress({ type: 'file', status: 'failed', error: error.message, ...fileProgressOf(file, i - 1) });
+                continue;
+            }
+            pdfBuffers.push(value);
+        }
+        
+        if (pdfBuffers.length === 0) {
+            throw new Error('No files could be converted');
+        }
+    } catch (error) {
+        error.report = finishReport(report);
+        throw error;
+    }
+    
+    const finishedReport = finishReport(report);
+    if (pdfBuffers.length === 1) {
+        return { data: pdfBuffers[0].data, fileName: pdfBuffers[0].name, contentType: OUTPUT_FORMATS[format].contentType, report: finishedReport };
+    }
+    
+    const zipBuffer = await createZipBuffer([
+        ...pdfBuffers,
+        { name: 'report.json', data: JSON.stringify(finishedReport, null, 2) }
+    ]);
+    log(`\n📦 Batch conversion completed! ${pdfBuffers.length} ${format.toUpperCase()}s packed in ZIP\n`);
+    
+    return { data: zipBuffer, fileName: `converted-${format}s.zip`, contentType: 'application/zip', report: finishedReport };
+}
+
+// Open the archives that editor selections move pages out of (entries with a `file` name) once for
+// the whole combination, keyed by file name; a file that can't be opened maps to null
+async function openSourceArchives(files, password, log) {
+    const names = new Set(files.flatMap(file => (file.pages || [])
+        .filter(page => page.file && page.included !== false)
+        .map(page => page.file)));
+    const sources = new Map();
+    for (const file of files.filter(file => names.has(file.originalname))) {
+        try {
+            sources.set(file.originalname, await openArchive(file.path, file.originalname, password, log));
+        } catch (error) {
+            if (error instanceof ArchivePasswordError) throw error;
+            log(`❌ Error opening ${file.originalname}:`, error.message);
+            sources.set(file.originalname, null);
+        }
+    }
+    return sources;
+}
+
+// Merge several archives (or their file.pages selections) into one document, with one bookmark
+// per source file. Pages can be moved between files in the editor (see selectPages).
+// Archives that fail are left out unless `strict` is set; one that needs a password (or another one)
+// fails the whole combination, and so does every archive failing.
+async function convertCombined(files, body, { onProgress = () => {}, signal = null, log = () => {} } = {}) {
+    const bgColor = body.bgColor || 'white';
+    const quality = parseInt(body.quality) || 75;
+    const layout = parseLayoutOptions(body);
+    const metadataOverrides = parseMetadataOverrides(body);
+    const format = parseOutputFormat(body);
+    const strict = parseStrict(body);
+    const encryption = parseEncryptionOptions(body);
+    const pdfa = parsePdfaOption(body);
+    const report = createReport();
+    
+    log(`\n🔗 Starting combination of ${files.length} files into one PDF...`);
+    
+    const pdfDoc = await createOutputDocument(format);
+    const fileDirections = [];
+    const comicInfos = [];
+    const bookmarks = [];
+    const overlayPages = new Map();
+    let sources = new Map();
+    
+    try {
+        sources = await openSourceArchives(files, body.password, log);
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const fileProgress = { file: file.originalname, fileIndex: i, fileCount: files.length };
+            const fileReport = addFileReport(report, file.originalname);
+            throwIfCancelled(signal);
+            onProgress({ type: 'file', status: 'started', ...fileProgress });
+            try {
+                log(`[${i + 1}/${files.length}] Processing: ${file.originalname}`);
+                
+                // Archives other files take pages from are already open, and stay open until the end
+                const shared = sources.get(file.originalname);
+                const archive = shared || await openArchive(file.path, file.originalname, body.password, log);
+                const { imageFiles, comicInfo } = archive;
+                const fileLayout = resolveReadingDirection(layout, comicInfo);
+                fileDirections.push(fileLayout.readingDirection);
+                comicInfos.push(comicInfo);
+                
+                const pages = selectPages(imageFiles, file.pages, bgColor, fileReport, sources);
+                log(`  📄 Adding ${pages.length} pages from ${file.originalname}...`);
+                
+                // Add each image as a page to the combined PDF, preparing several pages at once
+                let firstPages;
+                try {
+                    throwIfStrict(strict, fileReport);
+                    firstPages = await renderPages(pdfDoc, archive, pages, {
+                        quality,
+                        layout: fileLayout,
+                        format,
+                        fileReport,
+                        fileName: file.originalname,
+                        overlayPages,
+                        strict,
+                        onProgress: event => onProgress({ ...event, ...fileProgress }),
+                        signal,
+                        log
+                    });
+                } finally {
+                    if (!shared) archive.close();
+                }
+                
+                bookmarks.push(archiveBookmark(file.originalname, imageFiles, firstPages, comicInfo));
+                
+                onProgress({ type: 'file', status: 'done', ...fileProgress });
+                log(`  ✅ Added ${firstPages.size} pages from ${file.originalname}`);
+                
+            } catch (error) {
+                throwIfCancelled(signal);
+                failFile(fileReport, error);
+                if (error instanceof StrictModeError || error instanceof ArchivePasswordError) throw error;
+                if (strict) throw new StrictModeError(`${file.originalname} could not be converted: ${error.message}`);
+                log(`❌ Error processing ${file.originalname}:`, error.message);
+                onProgress({ type: 'file', status: 'failed', error: error.message, ...fileProgress });
+            }
+        }
+        
+        if (report.files.every(fileReport => fileReport.status === 'failed')) {
+            throw new Error('No files could be converted');
+        }
+    } catch (error) {
+        error.report = finishReport(report);
+        throw error;
+    } finally {
+        for (const archive of sources.values()) {
+            if (archive) archive.close();
+        }
+    }
+    
+    applyReadingOptions(pdfDoc, {
+        ...layout,
+        readingDirection: combinedReadingDirection(layout, fileDirections),
+        bgColor
+    });
+    
+    onProgress({ type: 'saving' });
+    const pdfBytes = await saveOutputDocument(pdfDoc, {
+        metadata: buildPdfMetadata(mergeComicInfo(comicInfos), {
+            fallbackTitle: 'Combined Comic',
+            overrides: metadataOverrides
+        }),
+        bookmarks,
+        overlays: layout.overlays,
+        overlayPages,
+        encryption,
+        pdfa
+    });
+    
+    log(`\n✅ Combination completed! All files merged into one PDF\n`);
+    
+    return {
+        data: Buffer.from(pdfBytes),
+        fileName: `combined-comic${OUTPUT_FORMATS[format].extension}`,
+        contentType: OUTPUT_FORMATS[format].contentType,
+        report: finishReport(report)
+    };
+}
+
+module.exports = {
+    CONCURRENCY,
+    OUTPUT_FORMATS,
+    limitImageWork,
+    parseOutputFormat,
+    outputFileName,
+    createOutputDocument,
+    saveOutputDocument,
+    titleFromFileName,
+    archiveBookmark,
+    preparePagesFromArchive,
+    throwIfCancelled,
+    createZipBuffer,
+    selectPages,
+    renderPages,
+    createDocumentFromImages,
+    convertSingleFile,
+    convertBatch,
+    convertCombined
+};
@@ -0,0 +1,158 @@
+const sharp = require('sharp');
+
+// E-reader screens in pixels (portrait) and their density. Pages are downscaled to fit the screen,
+// and pageSize=device makes the page the physical size of the screen.
+// grayscale: false for colour e-ink; gamma: values above 1 darken mid-tones, which e-ink shows too light
+// (grey pages only; the gamma enhancement option replaces it, see lib/enhance.js).
+const DEVICE_PROFILES = {
+    'kindle': { label: 'Kindle (2022)', width: 1072, height: 1448, ppi: 300, grayscale: true, gamma: 1.5 },
+    'kindle-paperwhite': { label: 'Kindle Paperwhite (2021)', width: 1236, height: 1648, ppi: 300, grayscale: true, gamma: 1.5 },
+    'kindle-scribe': { label: 'Kindle Scribe', width: 1860, height: 2480, ppi: 300, grayscale: true, gamma: 1.5 },
+    'kobo-clara': { label: 'Kobo Clara 2E / HD', width: 1072, height: 1448, ppi: 300, grayscale: true, gamma: 1.5 },
+    'kobo-libra': { label: 'Kobo Libra 2', width: 1264, height: 1680, ppi: 300, grayscale: true, gamma: 1.5 },
+    'kobo-libra-colour': { label: 'Kobo Libra Colour', width: 1264, height: 1680, ppi: 300, grayscale: false, gamma: 1 },
+    'kobo-sage': { label: 'Kobo Sage', width: 1440, height: 1920, ppi: 300, grayscale: true, gamma: 1.5 },
+    'remarkable-2': { label: 'reMarkable 2', width: 1404, height: 1872, ppi: 226, grayscale: true, gamma: 1.5 }
+};
+
+// Grey levels e-ink panels can show; dithering spreads the rest over neighbouring pixels
+const GRAY_LEVELS = 16;
+
+// A pixel whose channels differ by more than COLOR_CHROMA is coloured; a page is a colour page
+// when more than COLOR_PIXEL_SHARE of its pixels are (tinted paper in scans stays below both)
+const COLOR_CHROMA = 40;
+const COLOR_PIXEL_SHARE = 0.01;
+
+// Read device options from a request body; null when no profile is selected
+// device: one of DEVICE_PROFILES, dither: Floyd–Steinberg dithering to GRAY_LEVELS,
+// colorPages: keep (default) | grayscale
+function parseDeviceOptions(body = {}) {
+    const name = String(body.device || '').toLowerCase();
+    if (!name || name === 'none') {
+        return null;
+    }
+
+    const profile = DEVICE_PROFILES[name];
+    if (!profile) {
+        throw new Error(`device must be one of ${Object.keys(DEVICE_PROFILES).join(', ')}`);
+    }
+
+    return {
+        name,
+        ...profile,
+        dither: body.dither === true || body.dither === 'true',
+        colorPages: body.colorPages === 'grayscale' ? 'grayscale' : 'keep'
+    };
+}
+
+// Whether a page has enough coloured pixels to be worth keeping in colour (checked on a small copy)
+async function isColorPage(pipeline) {
+    const { data, info } = await pipeline
+        .resize(128, 128, { fit: 'inside' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let colored = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        const max = Math.max(data[i], data[i + 1], data[i + 2]);
+        const min = Math.min(data[i], data[i + 1], data[i + 2]);
+        if (max - min > COLOR_CHROMA) colored++;
+    }
+    return colored > COLOR_PIXEL_SHARE * (data.length / info.channels);
+}
+
+// Gamma-correct 8-bit grey pixels in place
+function applyGamma(pixels, gamma) {
+    if (gamma === 1) return;
+    const table = new Uint8Array(256);
+    for (let value = 0; value < 256; value++) {
+        table[value] = Math.round(255 * Math.pow(value / 255, gamma));
+    }
+    for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = table[pixels[i]];
+    }
+}
+
+// Floyd–Steinberg dithering of 8-bit grey pixels in place; afterwards every pixel is one of
+// `levels` evenly spaced grey values (multiples of 17 for 16 levels)
+function ditherFloydSteinberg(pixels, width, height, levels = GRAY_LEVELS) {
+    const step = 255 / (levels - 1);
+    const values = Float32Array.from(pixels);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const level = Math.min(levels - 1, Math.max(0, Math.round(values[i] / step)));
+            const value = Math.round(level * step);
+            const error = values[i] - value;
+            pixels[i] = value;
+
+            if (x + 1 < width) values[i + 1] += error * 7 / 16;
+            if (y + 1 < height) {
+                if (x > 0) values[i + width - 1] += error * 3 / 16;
+                values[i + width] += error * 5 / 16;
+                if (x + 1 < width) values[i + width + 1] += error / 16;
+            }
+        }
+    }
+}
+
+// Pack dithered grey pixels into 4 bits each, rows padded to whole bytes (a PDF DeviceGray image)
+function packGrayLevels(pixels, width, height) {
+    const rowLength = Math.ceil(width / 2);
+    const packed = Buffer.alloc(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const level = pixels[y * width + x] >> 4;
+            packed[y * rowLength + (x >> 1)] |= (x & 1) ? level : level << 4;
+        }
+    }
+    return packed;
+}
+
+// Downscale one page image (a sharp pipeline, already cut to its region) to fit the device screen with
+// the Lanczos kernel, then turn it grey, gamma-correct and dither it unless it is a colour page being kept.
+// Returns { image, color, dithered, pixels, width, height }: image is a sharp instance of the result;
+// grey pages also come back as raw 8-bit pixels with their size.
+async function renderForDevice(pipeline, device, { bgColor = 'white', landscape = false } = {}) {
+    const screenWidth = landscape ? device.height : device.width;
+    const screenHeight = landscape ? device.width : device.height;
+    const resized = pipeline.resize(screenWidth, screenHeight, { fit: 'inside', withoutEnlargement: true, kernel: 'lanczos3' });
+
+    if (!device.grayscale || (device.colorPages === 'keep' && await isColorPage(resized.clone()))) {
+        return { image: resized, color: true, dithered: false, pixels: null, width: null, height: null };
+    }
+
+    const { data, info } = await resized
+        .flatten({ background: bgColor === 'black' ? '#000000' : '#ffffff' })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    applyGamma(data, device.gamma);
+    if (device.dither) {
+        ditherFloydSteinberg(data, info.width, info.height);
+    }
+
+    return {
+        image: sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } }).toColourspace('b-w'),
+        color: false,
+        dithered: device.dither,
+        pixels: data,
+        width: info.width,
+        height: info.height
+    };
+}
+
+module.exports = {
+    DEVICE_PROFILES,
+    GRAY_LEVELS,
+    parseDeviceOptions,
+    isColorPage,
+    applyGamma,
+    ditherFloydSteinberg,
+    packGrayLevels,
+    renderForDevice
+};
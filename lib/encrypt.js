@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { PDFArray, PDFDict, PDFHexString, PDFName, PDFRawStream, PDFStream, PDFString } = require('pdf-lib');
+
+// Password protection of output PDFs with the AES-256 standard security handler of PDF 2.0
+// (revision 6). userPassword is needed to open the file (none: it opens without one);
+// ownerPassword lifts the permission flags, which readers enforce for everyone else. Without an
+// ownerPassword a random one is used, so nobody can lift them. The flags are all true unless set
+// to false: allowPrinting, allowCopying (text and images) and allowModifying (editing, annotations,
+// form filling and page assembly).
+
+// /P bits (ISO 32000-2, table 22). Bits 7-8 and 13-32 are always set, and so is bit 10
+// (extraction for accessibility), which PDF 2.0 readers ignore.
+const PERMISSION_BASE = 0xfffff0c0 | (1 << 9);
+const PERMISSIONS = {
+    allowPrinting: (1 << 2) | (1 << 11),
+    allowCopying: 1 << 4,
+    allowModifying: (1 << 3) | (1 << 5) | (1 << 8) | (1 << 10)
+};
+
+function parsePermission(value, name) {
+    if (value === undefined || value === null || value === '' || value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error(`${name} must be true or false`);
+}
+
+// Read encryption options from a request body; null when the output isn't protected
+function parseEncryptionOptions(body = {}) {
+    const userPassword = body.userPassword ? String(body.userPassword) : '';
+    const ownerPassword = body.ownerPassword ? String(body.ownerPassword) : '';
+
+    let permissions = PERMISSION_BASE;
+    let restricted = false;
+    for (const [name, bits] of Object.entries(PERMISSIONS)) {
+        if (parsePermission(body[name], name)) {
+            permissions |= bits;
+        } else {
+            restricted = true;
+        }
+    }
+
+    if (!userPassword && !ownerPassword && !restricted) {
+        return null;
+    }
+    if (String(body.format || 'pdf').toLowerCase() !== 'pdf') {
+        throw new Error('Passwords and permissions are only supported for PDF output');
+    }
+    return {
+        userPassword,
+        ownerPassword: ownerPassword || crypto.randomBytes(24).toString('base64'),
+        permissions: permissions | 0
+    };
+}
+
+// UTF-8 bytes of a password, at most 127 of them. NFKC normalisation stands in for SASLprep.
+function passwordBytes(password) {
+    return Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+}
+
+// Password hash of revision 6 (ISO 32000-2, algorithm 2.B). userKey is the /U value when hashing
+// the owner password.
+function hashPassword(password, salt, userKey = Buffer.alloc(0)) {
+    let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+    let block = Buffer.alloc(0);
+    for (let round = 0; round < 64 || block[block.length - 1] > round - 32; round++) {
+        const input = Buffer.concat([password, key, userKey]);
+        const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32)).setAutoPadding(false);
+        block = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(input))), cipher.final()]);
+        const sum = block.subarray(0, 16).reduce((total, byte) => total + byte, 0);
+        key = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(block).digest();
+    }
+    return key.subarray(0, 32);
+}
+
+// AES-256 of whole blocks without padding: CBC with a zero IV for /UE and /OE, ECB for /Perms
+function encryptBlocks(key, data, mode = 'aes-256-cbc') {
+    const iv = mode === 'aes-256-ecb' ? null : Buffer.alloc(16);
+    const cipher = crypto.createCipheriv(mode, key, iv).setAutoPadding(false);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// A string or stream encrypted with the file key: a random IV, then AES-256-CBC with PKCS#7 padding
+function encryptData(fileKey, data) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+    return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+function buildEncryptDict(context, { userPassword, ownerPassword, permissions }, fileKey) {
+    const user = passwordBytes(userPassword);
+    const owner = passwordBytes(ownerPassword);
+
+    const [userValidationSalt, userKeySalt, ownerValidationSalt, ownerKeySalt] = [8, 8, 8, 8].map(size => crypto.randomBytes(size));
+    const u = Buffer.concat([hashPassword(user, userValidationSalt), userValidationSalt, userKeySalt]);
+    const ue = encryptBlocks(hashPassword(user, userKeySalt), fileKey);
+    const o = Buffer.concat([hashPassword(owner, ownerValidationSalt, u), ownerValidationSalt, ownerKeySalt]);
+    const oe = encryptBlocks(hashPassword(owner, ownerKeySalt, u), fileKey);
+
+    // The permissions again, encrypted, so readers can tell they weren't changed
+    const perms = Buffer.alloc(16);
+    perms.writeInt32LE(permissions, 0);
+    perms.fill(0xff, 4, 8);
+    perms.write('Tadb', 8, 'latin1');
+    crypto.randomBytes(4).copy(perms, 12);
+
+    const hex = bytes => PDFHexString.of(bytes.toString('hex'));
+    return context.obj({
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { CFM: 'AESV3', AuthEvent: 'DocOpen', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: hex(o),
+        U: hex(u),
+        OE: hex(oe),
+        UE: hex(ue),
+        Perms: hex(encryptBlocks(fileKey, perms, 'aes-256-ecb')),
+        P: permissions,
+        EncryptMetadata: true
+    });
+}
+
+// Encrypt the strings of an object in place (dictionaries and arrays) or as a new string
+function encryptStrings(object, fileKey) {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(encryptData(fileKey, Buffer.from(object.asBytes())).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+        for (const [name, value] of object.entries()) {
+            object.set(name, encryptStrings(value, fileKey));
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            object.set(i, encryptStrings(object.get(i), fileKey));
+        }
+    }
+    return object;
+}
+
+// Encrypt every string and stream of a finished PDF and add the security handler. The document
+// must then be saved without object streams (strings inside them must not be encrypted on their
+// own), and nothing may be added to it.
+async function encryptPdf(pdfDoc, encryption) {
+    // Fonts and images are only written into the document when it is flushed
+    await pdfDoc.flush();
+
+    const { context } = pdfDoc;
+    // pdf-lib always writes a 1.7 header; the catalog's /Version takes precedence over it
+    pdfDoc.catalog.set(PDFName.of('Version'), PDFName.of('2.0'));
+
+    const fileKey = crypto.randomBytes(32);
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (object instanceof PDFStream) {
+            encryptStrings(object.dict, fileKey);
+            context.assign(ref, PDFRawStream.of(object.dict, encryptData(fileKey, object.getContents())));
+        } else {
+            context.assign(ref, encryptStrings(object, fileKey));
+        }
+    }
+
+    context.trailerInfo.Encrypt = context.register(buildEncryptDict(context, encryption, fileKey));
+    if (!context.trailerInfo.ID) {
+        const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+        context.trailerInfo.ID = context.obj([id, id]);
+    }
+}
+
+module.exports = {
+    PERMISSIONS,
+    parseEncryptionOptions,
+    hashPassword,
+    encryptPdf
+};
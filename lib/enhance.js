@@ -0,0 +1,167 @@
+const sharp = require('sharp');
+
+// Optional clean-up of page images, applied at full resolution to the part of the image a page shows,
+// before it is encoded or prepared for a device. Every step is off by default:
+// normalize: stretch contrast to the full range (auto-levels)
+// whitePoint: scale each colour channel so the paper becomes white, removing yellowing
+// sharpen: unsharp mask radius (sigma, 0.3-10); true means 1
+// despeckle: median filter size (3-15 pixels) against scanner noise; true means 3
+// gamma: values above 1 darken mid-tones, below 1 lighten them; null leaves a device profile's default
+const NO_ENHANCEMENTS = { normalize: false, whitePoint: false, sharpen: 0, despeckle: 0, gamma: null };
+
+// Share of the brightest pixels in each channel taken as the paper colour for whitePoint
+const WHITE_POINT_PERCENTILE = 0.995;
+
+function parseFlag(value) {
+    return value === true || value === 'true';
+}
+
+function parseSharpen(value) {
+    if (value === true || value === 'true') return 1;
+    if (value === false || value === 'false') return 0;
+    const sigma = parseFloat(value);
+    if (sigma === 0) return 0;
+    if (!(sigma >= 0.3 && sigma <= 10)) {
+        throw new Error('sharpen must be true, false or a radius between 0.3 and 10');
+    }
+    return sigma;
+}
+
+function parseDespeckle(value) {
+    if (value === true || value === 'true') return 3;
+    if (value === false || value === 'false') return 0;
+    const size = Number(value);
+    if (size === 0) return 0;
+    if (!Number.isInteger(size) || size < 3 || size > 15) {
+        throw new Error('despeckle must be true, false or a filter size between 3 and 15');
+    }
+    return size;
+}
+
+function parseGamma(value) {
+    const gamma = parseFloat(value);
+    if (!(gamma > 0 && gamma <= 10)) {
+        throw new Error('gamma must be a number above 0 and up to 10');
+    }
+    return gamma;
+}
+
+const PARSERS = { normalize: parseFlag, whitePoint: parseFlag, sharpen: parseSharpen, despeckle: parseDespeckle, gamma: parseGamma };
+
+// Read enhancement options from a request body, or from the `enhance` object of an editor page.
+// Options the source leaves out come from `defaults`; pass {} to keep only the ones it sets.
+function parseEnhanceOptions(source = {}, defaults = NO_ENHANCEMENTS) {
+    const enhance = {};
+    for (const [key, parse] of Object.entries(PARSERS)) {
+        const value = source[key];
+        enhance[key] = value === undefined || value === null || value === '' ? defaults[key] : parse(value);
+    }
+    return enhance;
+}
+
+// Page options (from parseEnhanceOptions(page, {})) on top of the conversion's
+function mergeEnhancements(enhance, pageEnhance) {
+    if (!pageEnhance) return enhance;
+    const merged = { ...enhance };
+    for (const [key, value] of Object.entries(pageEnhance)) {
+        if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+}
+
+function hasEnhancements(enhance) {
+    return !!enhance && (enhance.normalize || enhance.whitePoint || enhance.sharpen > 0 ||
+        enhance.despeckle > 0 || (enhance.gamma !== null && enhance.gamma !== 1));
+}
+
+// The device profile to render enhanced pages with: an explicit gamma has already been applied
+// to every page, so it replaces the profile's own gamma for grey pages
+function deviceForEnhancements(device, enhance) {
+    if (!device || !enhance || enhance.gamma === null) {
+        return device;
+    }
+    return { ...device, gamma: 1 };
+}
+
+// Per-channel multipliers that turn the paper colour (the brightest pixels, on a small copy) white
+async function whitePointScale(pipeline) {
+    const { data, info } = await pipeline
+        .resize(256, 256, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const pixelCount = data.length / info.channels;
+    const scale = [];
+    for (let channel = 0; channel < info.channels; channel++) {
+        const histogram = new Uint32Array(256);
+        for (let i = channel; i < data.length; i += info.channels) {
+            histogram[data[i]]++;
+        }
+        let value = 255;
+        for (let count = 0; value > 0 && count + histogram[value] <= pixelCount * (1 - WHITE_POINT_PERCENTILE); value--) {
+            count += histogram[value];
+        }
+        // Leave dark or blank channels alone rather than blowing them out
+        scale.push(value >= 128 ? 255 / value : 1);
+    }
+    return scale;
+}
+
+// Apply enhancement options to a sharp pipeline of one page; returns a new pipeline of the result.
+// sharp runs median, sharpen, linear and normalise in that order whatever order they are set in, and
+// only after any resize, so the result is rendered to pixels here for later resizing to see it.
+// gamma has no sharp operation of its own and is done on those pixels.
+// `metadata` is sharp's metadata of the source image (channels and hasAlpha are used).
+async function applyEnhancements(pipeline, enhance, { channels = 3, hasAlpha = false } = {}) {
+    if (!hasEnhancements(enhance)) {
+        return pipeline;
+    }
+
+    // Grey images would otherwise come out (and be measured for whitePoint) as RGB
+    if (channels <= 2) {
+        pipeline = pipeline.toColourspace('b-w');
+    }
+    if (enhance.despeckle > 0) {
+        pipeline = pipeline.median(enhance.despeckle);
+    }
+    if (enhance.sharpen > 0) {
+        pipeline = pipeline.sharpen({ sigma: enhance.sharpen });
+    }
+    if (enhance.whitePoint) {
+        const scale = await whitePointScale(pipeline.clone());
+        if (hasAlpha) scale.push(1);
+        pipeline = pipeline.linear(scale, scale.map(() => 0));
+    }
+    if (enhance.normalize) {
+        pipeline = pipeline.normalise();
+    }
+
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+    if (enhance.gamma !== null && enhance.gamma !== 1) {
+        const table = new Uint8Array(256);
+        for (let value = 0; value < 256; value++) {
+            table[value] = Math.round(255 * Math.pow(value / 255, enhance.gamma));
+        }
+        // Alpha, when there is one, is the last channel and stays as it is
+        const colorChannels = info.channels === 2 || info.channels === 4 ? info.channels - 1 : info.channels;
+        for (let i = 0; i < data.length; i++) {
+            if (i % info.channels < colorChannels) {
+                data[i] = table[data[i]];
+            }
+        }
+    }
+
+    const image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    return info.channels <= 2 ? image.toColourspace('b-w') : image;
+}
+
+module.exports = {
+    NO_ENHANCEMENTS,
+    parseEnhanceOptions,
+    mergeEnhancements,
+    hasEnhancements,
+    deviceForEnhancements,
+    applyEnhancements
+};
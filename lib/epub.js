@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { escapeXml } = require('./metadata');
+
+function pageName(number) {
+    return `page-${String(number).padStart(4, '0')}`;
+}
+
+// EPUB 3.0 requires a modified date without milliseconds
+function modifiedDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Fixed-layout EPUB 3 book with one XHTML page per image.
+// Mirrors the parts of PDFDocument the converter uses: pages are added in order,
+// a blank page can be inserted first, and metadata/bookmarks are applied before save().
+class EpubDocument {
+    constructor() {
+        this.pages = [];
+        this.readingDirection = 'ltr';
+        this.metadata = {};
+        this.toc = [];
+    }
+
+    // Add a page showing one encoded image at its pixel size; returns the page handle
+    addImagePage(imageBuffer, { width, height, png, background = 'white' }) {
+        const page = {
+            image: imageBuffer,
+            extension: png ? 'png' : 'jpg',
+            mediaType: png ? 'image/png' : 'image/jpeg',
+            width,
+            height,
+            background
+        };
+        this.pages.push(page);
+        return page;
+    }
+
+    // Insert an empty page matching the size of the page before it (or of the first page)
+    insertBlankPage(index, background = 'white') {
+        const reference = this.pages[index - 1] || this.pages[0] || { width: 800, height: 1200 };
+        const page = { image: null, width: reference.width, height: reference.height, background };
+        this.pages.splice(index, 0, page);
+        return page;
+    }
+
+    getPageCount() {
+        return this.pages.length;
+    }
+
+    setReadingDirection(readingDirection) {
+        this.readingDirection = readingDirection;
+    }
+
+    // Metadata as built by buildPdfMetadata()
+    setMetadata(metadata) {
+        this.metadata = metadata || {};
+    }
+
+    // Bookmark tree of { title, page, children } items, as used for the PDF outline
+    setToc(items) {
+        this.toc = items.filter(item => item.page);
+    }
+
+    pageXhtml(page, number) {
+        const background = page.background === 'black' ? '#000000' : '#ffffff';
+        const image = page.image
+            ? `<img src="../images/${pageName(number)}.${page.extension}" alt="Page ${number}" style="display: block; width: ${page.width}px; height: ${page.height}px;" />`
+            : '';
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE html>',
+            '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+            '<head>',
+            `<title>Page ${number}</title>`,
+            `<meta name="viewport" content="width=${page.width}, height=${page.height}" />`,
+            '</head>',
+            `<body style="margin: 0; padding: 0; background-color: ${background};">`,
+            image,
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    tocItems(items, pageNumber) {
+        const sorted = [...items].sort((a, b) => pageNumber(a.page) - pageNumber(b.page));
+        return sorted.map(item => {
+            const link = `<a href="pages/${pageName(pageNumber(item.page))}.xhtml">${escapeXml(item.title)}</a>`;
+            const children = item.children && item.children.length > 0
+                ? `<ol>${this.tocItems(item.children, pageNumber).join('')}</ol>`
+                : '';
+            return `<li>${link}${children}</li>`;
+        });
+    }
+
+    navXhtml(title, coverNumber) {
+        const pageNumber = page => this.pages.indexOf(page) + 1;
+        const toc = this.toc.length > 0
+            ? this.tocItems(this.toc, pageNumber)
+            : [`<li><a href="pages/${pageName(coverNumber)}.xhtml">${escapeXml(title)}</a></li>`];
+        const pageList = this.pages.map((page, i) =>
+            `<li><a href="pages/${pageName(i + 1)}.xhtml">${i + 1}</a></li>`);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE html>',
+            '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+            '<head>',
+            `<title>${escapeXml(title)}</title>`,
+            '</head>',
+            '<body>',
+            '<nav epub:type="toc" id="toc">',
+            `<h1>${escapeXml(title)}</h1>`,
+            `<ol>${toc.join('')}</ol>`,
+            '</nav>',
+            '<nav epub:type="page-list" id="page-list" hidden="">',
+            `<ol>${pageList.join('')}</ol>`,
+            '</nav>',
+            '<nav epub:type="landmarks" id="landmarks" hidden="">',
+            `<ol><li><a epub:type="cover" href="pages/${pageName(coverNumber)}.xhtml">Cover</a></li></ol>`,
+            '</nav>',
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    packageOpf(title, coverNumber) {
+        const { metadata } = this;
+        const language = metadata.language || 'und';
+        const dc = [
+            `<dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>`,
+            `<dc:title>${escapeXml(title)}</dc:title>`,
+            `<dc:language>${escapeXml(language)}</dc:language>`
+        ];
+        if (metadata.author) dc.push(`<dc:creator>${escapeXml(metadata.author)}</dc:creator>`);
+        if (metadata.subject) dc.push(`<dc:description>${escapeXml(metadata.subject)}</dc:description>`);
+        for (const keyword of metadata.keywords || []) {
+            dc.push(`<dc:subject>${escapeXml(keyword)}</dc:subject>`);
+        }
+        if (metadata.publisher) dc.push(`<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`);
+        if (metadata.date) dc.push(`<dc:date>${escapeXml(metadata.date)}</dc:date>`);
+
+        const manifest = ['<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />'];
+        const spine = [];
+        // The EPUB 2 cover meta may only point at an existing item: a book of blank pages has none
+        const coverMeta = this.pages.some(page => page.image) ? ['<meta name="cover" content="cover-image" />'] : [];
+
+        this.pages.forEach((page, i) => {
+            const number = i + 1;
+            const name = pageName(number);
+            if (page.image) {
+                const cover = number === coverNumber ? ' properties="cover-image"' : '';
+                manifest.push(`<item id="${number === coverNumber ? 'cover-image' : `${name}-image`}" href="images/${name}.${page.extension}" media-type="${page.mediaType}"${cover} />`);
+            }
+            manifest.push(`<item id="${name}" href="pages/${name}.xhtml" media-type="application/xhtml+xml" />`);
+            spine.push(`<itemref idref="${name}" />`);
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">`,
+            '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            ...dc,
+            `<meta property="dcterms:modified">${modifiedDate(new Date())}</meta>`,
+            '<meta property="rendition:layout">pre-paginated</meta>',
+            '<meta property="rendition:spread">landscape</meta>',
+            '<meta property="rendition:orientation">auto</meta>',
+            ...coverMeta,
+            '</metadata>',
+            '<manifest>',
+            ...manifest,
+            '</manifest>',
+            `<spine page-progression-direction="${this.readingDirection === 'rtl' ? 'rtl' : 'ltr'}">`,
+            ...spine,
+            '</spine>',
+            '</package>'
+        ].join('\n');
+    }
+
+    // Write the OCF container; resolves to the .epub file as a Buffer
+    async save() {
+        const title = this.metadata.title || 'Untitled';
+        const coverIndex = this.pages.findIndex(page => page.image);
+        const coverNumber = coverIndex === -1 ? 1 : coverIndex + 1;
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            archive.on('end', resolve);
+            archive.on('error', reject);
+        });
+
+        // The mimetype entry must come first and be stored uncompressed
+        archive.append('application/epub+zip', { name: 'mimetype', store: true });
+        archive.append([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+            '<rootfiles>',
+            '<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />',
+            '</rootfiles>',
+            '</container>'
+        ].join('\n'), { name: 'META-INF/container.xml' });
+        archive.append(this.packageOpf(title, coverNumber), { name: 'OEBPS/content.opf' });
+        archive.append(this.navXhtml(title, coverNumber), { name: 'OEBPS/nav.xhtml' });
+
+        this.pages.forEach((page, i) => {
+            const number = i + 1;
+            archive.append(this.pageXhtml(page, number), { name: `OEBPS/pages/${pageName(number)}.xhtml` });
+            if (page.image) {
+                archive.append(page.image, { name: `OEBPS/images/${pageName(number)}.${page.extension}`, store: true });
+            }
+        });
+
+        await archive.finalize();
+        await finished;
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = {
+    EpubDocument
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { convertSingleFile, convertBatch, convertCombined } = require('./convert');
+
+// Programmatic API: the conversions behind the HTTP API and the CLI, without Express.
+//
+//   const { convert, combine } = require('cbr');
+//
+//   const { data, fileName } = await convert('issue-1.cbr', { format: 'epub', quality: 85 })
+//       .on('page', ({ page, pageCount }) => console.log(`${page}/${pageCount}`));
+//
+// Inputs are file paths, Buffers, or { path, data, name, pages } objects: `name` names a
+// Buffer input (and its output), `pages` is an editor selection of { index, included, bgColor, half,
+// enhance, rotate, deskew, crop, overlays } entries, converted in that order. { blank: true } entries
+// add blank pages, and combine() entries with a `file` name take their page from that input.
+// Options are the fields of an /api/convert request (quality, bgColor, pageStart, pageEnd, pageSize,
+// fitMode, spreadMode, readingDirection, format, metadata, strict, password, ...) plus an AbortSignal
+// in `signal` and a `log` function for progress messages (nothing is printed without one). Encrypted archives without the right `password` reject with an error whose code is
+// PASSWORD_REQUIRED or PASSWORD_INCORRECT.
+
+// A running conversion. Emits 'progress' for every progress event and 'file', 'page' and
+// 'saving' for events of that type; awaiting it gives { data, fileName, contentType, report }.
+// A failed conversion rejects with an error that carries the report so far in error.report.
+class Conversion extends EventEmitter {
+    constructor(run, inputs, options = {}) {
+        super();
+        const { signal = null, log = () => {}, ...settings } = options;
+        const onProgress = event => {
+            this.emit('progress', event);
+            this.emit(event.type, event);
+        };
+
+        // Start on the next tick so listeners attached after convert() returns see every event
+        this.promise = Promise.resolve().then(() =>
+            withInputFiles(inputs, files => run(files, settings, { onProgress, signal, log })));
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.promise.catch(onRejected);
+    }
+
+    finally(onFinally) {
+        return this.promise.finally(onFinally);
+    }
+}
+
+// Run task(files) with inputs turned into the { path, originalname, pages } files the
+// converters read; Buffer inputs are written to a temporary directory for the duration
+async function withInputFiles(inputs, task) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+        throw new TypeError('No input files given');
+    }
+
+    let tempDir = null;
+    try {
+        const files = inputs.map((input, i) => {
+            if (typeof input === 'string') {
+                input = { path: input };
+            } else if (Buffer.isBuffer(input)) {
+                input = { data: input };
+            } else if (!input || typeof input !== 'object') {
+                throw new TypeError('Every input must be a path, a Buffer or an object');
+            }
+
+            const name = input.name || (input.path ? path.basename(input.path) : `comic-${i + 1}.cbz`);
+            let filePath = input.path;
+            if (!filePath) {
+                if (!Buffer.isBuffer(input.data)) {
+                    throw new TypeError('Every input object needs a path or a data Buffer');
+                }
+                tempDir = tempDir || fs.mkdtempSync(path.join(os.tmpdir(), 'cbr2pdf-'));
+                filePath = path.join(tempDir, `${i + 1}${path.extname(name)}`);
+                fs.writeFileSync(filePath, input.data);
+            }
+
+            return { path: filePath, originalname: name, pages: input.pages };
+        });
+
+        return await task(files);
+    } finally {
+        if (tempDir) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+}
+
+// Convert one archive to a PDF (or EPUB)
+function convert(input, options) {
+    return new Conversion((files, settings, hooks) => convertSingleFile(files[0], settings, hooks), [input], options);
+}
+
+// Convert several archives to one document each; more than one result comes back as a ZIP
+function batch(inputs, options) {
+    return new Conversion(convertBatch, inputs, options);
+}
+
+// Merge several archives into one document, with one bookmark per archive
+function combine(inputs, options) {
+    return new Conversion(convertCombined, inputs, options);
+}
+
+module.exports = {
+    Conversion,
+    convert,
+    batch,
+    combine
+};
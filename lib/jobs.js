@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs (and their output) are kept this long for download
+const JOB_TTL_MS = 15 * 60 * 1000;
+
+const jobs = new Map();
+
+// How much of its file a progress event says is done (0-1)
+function fileShare(event) {
+    if (event.type === 'page' && event.pageCount) {
+        return event.page / event.pageCount;
+    }
+    if (event.type === 'file' && event.status !== 'started') {
+        return 1;
+    }
+    return 0;
+}
+
+// Overall percentage: every file gets an equal share, which its pages fill as they are
+// rendered. fileShares holds the progress of each file, as batch files can run side by side.
+function progressPercent(fileShares, fileCount) {
+    const done = fileShares.reduce((sum, share) => sum + (share || 0), 0);
+    return Math.min(100, Math.round(done / (fileCount || 1) * 100));
+}
+
+// Start run({ onProgress, signal }) in the background and track it as a job.
+// run resolves to the job result; the signal is aborted when the job is cancelled.
+// The conversion report of the result (or of the error) is kept in job.report, and the code of
+// an error (such as PASSWORD_REQUIRED) in job.errorCode.
+function createJob(run) {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        percent: 0,
+        lastEvent: null,
+        result: null,
+        report: null,
+        error: null,
+        errorCode: null,
+        controller: new AbortController(),
+        emitter: new EventEmitter()
+    };
+    job.emitter.setMaxListeners(0);
+    jobs.set(job.id, job);
+
+    const fileShares = [];
+    let fileCount = 1;
+    const onProgress = event => {
+        if (event.fileIndex !== undefined) {
+            fileCount = event.fileCount || fileCount;
+            fileShares[event.fileIndex] = Math.max(fileShares[event.fileIndex] || 0, fileShare(event));
+        }
+        job.percent = Math.max(job.percent, progressPercent(fileShares, fileCount));
+        job.lastEvent = { ...event, percent: job.percent };
+        job.emitter.emit('event', 'progress', job.lastEvent);
+    };
+
+    run({ onProgress, signal: job.controller.signal })
+        .then(result => {
+            // Cancelled while the output was being saved
+            job.controller.signal.throwIfAborted();
+            job.status = 'done';
+            job.percent = 100;
+            job.result = result;
+            job.report = result.report || null;
+            job.emitter.emit('event', 'done', { percent: 100, fileName: result.fileName, report: job.report });
+        })
+        .catch(error => {
+            if (job.controller.signal.aborted) {
+                job.status = 'cancelled';
+                job.emitter.emit('event', 'cancelled', {});
+            } else {
+                job.status = 'error';
+                job.error = error.message || 'Conversion failed';
+                job.errorCode = error.code || null;
+                job.report = error.report || null;
+                job.emitter.emit('event', 'failed', { error: job.error, code: job.errorCode, report: job.report });
+            }
+        })
+        .finally(() => {
+            setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+        });
+
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Cancel a running job, or discard a finished one and its output
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'running') {
+        job.controller.abort();
+    } else {
+        jobs.delete(id);
+    }
+    return job;
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob
+};
@@ -0,0 +1,326 @@
+const { PDFName } = require('pdf-lib');
+
+const PRODUCER = 'CBR to PDF Converter';
+
+// ComicInfo.xml fields that can be overridden from a conversion request
+const COMICINFO_FIELDS = [
+    'Series', 'Number', 'Title', 'Volume', 'Writer', 'Penciller', 'Inker', 'Colorist',
+    'Letterer', 'CoverArtist', 'Editor', 'Publisher', 'Imprint', 'Year', 'Month', 'Day',
+    'Summary', 'Notes', 'Genre', 'Tags', 'LanguageISO', 'Manga', 'Web'
+];
+
+// Element order required by the ComicInfo v2.1 schema (an xs:sequence)
+const COMICINFO_ORDER = [
+    'Title', 'Series', 'Number', 'Count', 'Volume', 'AlternateSeries', 'AlternateNumber',
+    'AlternateCount', 'Summary', 'Notes', 'Year', 'Month', 'Day', 'Writer', 'Penciller', 'Inker',
+    'Colorist', 'Letterer', 'CoverArtist', 'Editor', 'Translator', 'Publisher', 'Imprint', 'Genre',
+    'Tags', 'Web', 'PageCount', 'LanguageISO', 'Format', 'BlackAndWhite', 'Manga', 'Characters',
+    'Teams', 'Locations', 'ScanInformation', 'StoryArc', 'StoryArcNumber', 'SeriesGroup',
+    'AgeRating', 'Pages', 'CommunityRating', 'MainCharacterOrTeam', 'Review', 'GTIN'
+];
+
+// PDF document fields that can be overridden directly
+const PDF_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator', 'producer', 'language'];
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributePattern.exec(text)) !== null) {
+        attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+// Parse a ComicInfo.xml document into a flat object of its text fields.
+// <Pages> becomes an array of the attributes of each <Page> entry.
+function parseComicInfo(xml) {
+    if (!xml) return null;
+
+    const root = xml.match(/<ComicInfo\b[^>]*>([\s\S]*?)<\/ComicInfo>/i);
+    if (!root) return null;
+
+    const comicInfo = {};
+    const elementPattern = /<([A-Za-z][\w.-]*)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+    let match;
+
+    while ((match = elementPattern.exec(root[1])) !== null) {
+        const [, name, , content] = match;
+        if (content === undefined) continue;
+
+        if (name === 'Pages') {
+            comicInfo.Pages = [];
+            const pagePattern = /<Page\b([^>]*?)\/?>/g;
+            let page;
+            while ((page = pagePattern.exec(content)) !== null) {
+                comicInfo.Pages.push(parseAttributes(page[1]));
+            }
+        } else {
+            const value = decodeXmlEntities(content).trim();
+            if (value) {
+                comicInfo[name] = value;
+            }
+        }
+    }
+
+    return comicInfo;
+}
+
+// Check parsed ComicInfo for a right-to-left manga
+function isRightToLeftComicInfo(comicInfo) {
+    return !!comicInfo && /^YesAndRightToLeft$/i.test(comicInfo.Manga || '');
+}
+
+// Keep only the fields every source agrees on (used when several archives are merged)
+function mergeComicInfo(comicInfos) {
+    const sources = comicInfos.filter(Boolean);
+    if (sources.length === 0) return null;
+    if (sources.length === 1) return sources[0];
+
+    const merged = {};
+    for (const [key, value] of Object.entries(sources[0])) {
+        if (key === 'Pages') continue;
+        if (sources.every(info => info[key] === value)) {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+// Read user overrides from the `metadata` field of a request body (JSON string or object)
+function parseMetadataOverrides(body = {}) {
+    let overrides = body.metadata;
+    if (!overrides) return {};
+
+    if (typeof overrides === 'string') {
+        try {
+            overrides = JSON.parse(overrides);
+        } catch (error) {
+            throw new Error('metadata must be a JSON object');
+        }
+    }
+
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('metadata must be a JSON object');
+    }
+    return overrides;
+}
+
+function splitList(value) {
+    return String(value || '')
+        .split(/[,;]/)
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Apply the ComicInfo-named fields of a request's metadata overrides
+function applyComicInfoOverrides(comicInfo, overrides = {}) {
+    const info = { ...(comicInfo || {}) };
+    for (const field of COMICINFO_FIELDS) {
+        if (overrides[field] !== undefined) {
+            info[field] = String(overrides[field]);
+        }
+    }
+    return info;
+}
+
+// Map ComicInfo (plus overrides) onto PDF document metadata
+function buildPdfMetadata(comicInfo, { fallbackTitle, overrides = {} } = {}) {
+    const info = applyComicInfoOverrides(comicInfo, overrides);
+
+    let title = info.Title;
+    if (info.Series) {
+        title = info.Number ? `${info.Series} #${info.Number}` : info.Series;
+        if (info.Title) {
+            title += `: ${info.Title}`;
+        }
+    }
+
+    const authors = [...new Set([...splitList(info.Writer), ...splitList(info.Penciller)])];
+
+    const metadata = {
+        title: title || fallbackTitle,
+        author: authors.length > 0 ? authors.join(', ') : undefined,
+        subject: info.Summary,
+        keywords: splitList(info.Tags),
+        creator: info.Publisher || PRODUCER,
+        producer: PRODUCER,
+        language: info.LanguageISO,
+        publisher: info.Publisher,
+        date: info.Year
+            ? [info.Year, info.Month, info.Day].filter(Boolean).map(part => String(part).padStart(2, '0')).join('-')
+            : undefined
+    };
+
+    for (const field of PDF_FIELDS) {
+        if (overrides[field] !== undefined) {
+            metadata[field] = field === 'keywords'
+                ? (Array.isArray(overrides.keywords) ? overrides.keywords.map(String) : splitList(overrides.keywords))
+                : String(overrides[field]);
+        }
+    }
+
+    return metadata;
+}
+
+// Map PDF document metadata back onto ComicInfo fields (used when unpacking a PDF)
+function comicInfoFromPdf(info) {
+    const comicInfo = {};
+    if (info.title) comicInfo.Title = info.title;
+    if (info.author) comicInfo.Writer = info.author;
+    if (info.subject) comicInfo.Summary = info.subject;
+    if (info.keywords) comicInfo.Tags = splitList(info.keywords).join(', ');
+    if (info.language) comicInfo.LanguageISO = info.language;
+    if (info.rightToLeft) comicInfo.Manga = 'YesAndRightToLeft';
+    return comicInfo;
+}
+
+// Serialise ComicInfo fields (and <Pages> attribute objects) as a ComicInfo.xml document
+function buildComicInfoXml(comicInfo) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    ];
+
+    for (const field of COMICINFO_ORDER) {
+        const value = comicInfo[field];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (field === 'Pages') {
+            if (value.length === 0) continue;
+            lines.push('  <Pages>');
+            for (const page of value) {
+                const attributes = Object.entries(page)
+                    .filter(([, attribute]) => attribute !== undefined && attribute !== null && attribute !== '')
+                    .map(([name, attribute]) => `${name}="${escapeXml(attribute)}"`);
+                lines.push(`    <Page ${attributes.join(' ')} />`);
+            }
+            lines.push('  </Pages>');
+        } else {
+            lines.push(`  <${field}>${escapeXml(value)}</${field}>`);
+        }
+    }
+
+    lines.push('</ComicInfo>');
+    return lines.join('\n');
+}
+
+// XMP dates use ISO 8601; PDF dates carry no milliseconds, so drop them to keep both in sync
+function xmpDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function xmpAlt(value) {
+    return `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+}
+
+function xmpList(type, values) {
+    return `<rdf:${type}>${values.map(value => `<rdf:li>${escapeXml(value)}</rdf:li>`).join('')}</rdf:${type}>`;
+}
+
+// Build an XMP packet mirroring the Info dictionary. `pdfa` ({ part, conformance }) adds the PDF/A
+// identification, documentId a uuid for xmpMM:DocumentID.
+function buildXmpPacket(metadata, { createDate, modifyDate, pdfa = null, documentId = null }) {
+    const properties = ['<dc:format>application/pdf</dc:format>'];
+
+    if (metadata.title) properties.push(`<dc:title>${xmpAlt(metadata.title)}</dc:title>`);
+    if (metadata.author) properties.push(`<dc:creator>${xmpList('Seq', [metadata.author])}</dc:creator>`);
+    if (metadata.subject) properties.push(`<dc:description>${xmpAlt(metadata.subject)}</dc:description>`);
+    if (metadata.keywords && metadata.keywords.length > 0) {
+        properties.push(`<dc:subject>${xmpList('Bag', metadata.keywords)}</dc:subject>`);
+        properties.push(`<pdf:Keywords>${escapeXml(metadata.keywords.join(', '))}</pdf:Keywords>`);
+    }
+    if (metadata.publisher) properties.push(`<dc:publisher>${xmpList('Bag', [metadata.publisher])}</dc:publisher>`);
+    if (metadata.language) properties.push(`<dc:language>${xmpList('Bag', [metadata.language])}</dc:language>`);
+    if (metadata.date) properties.push(`<dc:date>${xmpList('Seq', [metadata.date])}</dc:date>`);
+    if (metadata.creator) properties.push(`<xmp:CreatorTool>${escapeXml(metadata.creator)}</xmp:CreatorTool>`);
+    properties.push(`<xmp:CreateDate>${xmpDate(createDate)}</xmp:CreateDate>`);
+    properties.push(`<xmp:ModifyDate>${xmpDate(modifyDate)}</xmp:ModifyDate>`);
+    properties.push(`<xmp:MetadataDate>${xmpDate(modifyDate)}</xmp:MetadataDate>`);
+    if (metadata.producer) properties.push(`<pdf:Producer>${escapeXml(metadata.producer)}</pdf:Producer>`);
+    if (documentId) {
+        properties.push(`<xmpMM:DocumentID>uuid:${documentId}</xmpMM:DocumentID>`);
+        properties.push(`<xmpMM:InstanceID>uuid:${documentId}</xmpMM:InstanceID>`);
+    }
+    if (pdfa) {
+        properties.push(`<pdfaid:part>${pdfa.part}</pdfaid:part>`);
+        properties.push(`<pdfaid:conformance>${pdfa.conformance}</pdfaid:conformance>`);
+    }
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        '    xmlns:pdf="http://ns.adobe.com/pdf/1.3/"' +
+            (documentId ? '\n    xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"' : '') +
+            (pdfa ? '\n    xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"' : '') + '>',
+        ...properties.map(property => `    ${property}`),
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+// Write metadata into the Info dictionary and an XMP metadata stream (options: see buildXmpPacket)
+function applyPdfMetadata(pdfDoc, metadata, { pdfa = null, documentId = null } = {}) {
+    const now = new Date();
+    now.setMilliseconds(0);
+
+    if (metadata.title) pdfDoc.setTitle(metadata.title);
+    if (metadata.author) pdfDoc.setAuthor(metadata.author);
+    if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+    // pdf-lib joins keywords with spaces; pass one comma-separated entry so multi-word tags survive
+    if (metadata.keywords && metadata.keywords.length > 0) pdfDoc.setKeywords([metadata.keywords.join(', ')]);
+    if (metadata.creator) pdfDoc.setCreator(metadata.creator);
+    if (metadata.producer) pdfDoc.setProducer(metadata.producer);
+    if (metadata.language) pdfDoc.setLanguage(metadata.language);
+    pdfDoc.setCreationDate(now);
+    pdfDoc.setModificationDate(now);
+
+    // XMP is UTF-8 and must stay uncompressed so it can be found without parsing the PDF
+    const xmp = buildXmpPacket(metadata, { createDate: now, modifyDate: now, pdfa, documentId });
+    const metadataStream = pdfDoc.context.stream(new Uint8Array(Buffer.from(xmp, 'utf8')), {
+        Type: 'Metadata',
+        Subtype: 'XML'
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadataStream));
+}
+
+module.exports = {
+    COMICINFO_FIELDS,
+    parseComicInfo,
+    isRightToLeftComicInfo,
+    mergeComicInfo,
+    parseMetadataOverrides,
+    buildPdfMetadata,
+    comicInfoFromPdf,
+    applyComicInfoOverrides,
+    buildComicInfoXml,
+    buildXmpPacket,
+    applyPdfMetadata,
+    escapeXml
+};
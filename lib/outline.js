@@ -0,0 +1,105 @@
+const { PDFName, PDFHexString, PDFNumber } = require('pdf-lib');
+
+// Build bookmarks for one archive from its folder structure and ComicInfo <Pages>.
+// pageForImage(imagePath) returns the first PDF page rendered from that image, if any.
+// Returns a tree of { title, page, children } items.
+function buildArchiveBookmarks(imageFiles, pageForImage, comicInfo) {
+    const rendered = imageFiles.filter(imagePath => pageForImage(imagePath));
+    const folders = rendered.map(imagePath => imagePath.split(/[\\/]/).slice(0, -1));
+
+    // Skip folders that wrap every image (e.g. a single root folder named after the comic)
+    let commonDepth = 0;
+    while (folders.length > 0 && folders.every(segments =>
+        segments.length > commonDepth && segments[commonDepth] === folders[0][commonDepth])) {
+        commonDepth++;
+    }
+
+    const root = { children: [] };
+
+    rendered.forEach((imagePath, i) => {
+        let node = root;
+        for (const segment of folders[i].slice(commonDepth)) {
+            let child = node.children.find(item => item.folder === segment);
+            if (!child) {
+                child = { folder: segment, title: segment, page: pageForImage(imagePath), children: [] };
+                node.children.push(child);
+            }
+            node = child;
+        }
+    });
+
+    const pages = (comicInfo && comicInfo.Pages) || [];
+    for (const entry of pages) {
+        const type = entry.Type || '';
+        if (!/^(FrontCover|Story)$/i.test(type)) continue;
+
+        const imagePath = imageFiles[parseInt(entry.Image, 10)];
+        const page = imagePath && pageForImage(imagePath);
+        if (!page) continue;
+
+        root.children.push({
+            title: entry.Bookmark || (/^FrontCover$/i.test(type) ? 'Cover' : 'Story'),
+            page,
+            children: []
+        });
+    }
+
+    return root.children;
+}
+
+function writeOutlineItems(context, items, parentRef, pageIndex) {
+    // Order siblings by the page they point to
+    const sorted = [...items].sort((a, b) => pageIndex.get(a.page.ref) - pageIndex.get(b.page.ref));
+    const refs = sorted.map(() => context.nextRef());
+    let count = 0;
+
+    sorted.forEach((item, i) => {
+        const dict = context.obj({
+            Title: PDFHexString.fromText(item.title),
+            Parent: parentRef,
+            Dest: [item.page.ref, 'Fit']
+        });
+        if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+        count++;
+        if (item.children.length > 0) {
+            const children = writeOutlineItems(context, item.children, refs[i], pageIndex);
+            dict.set(PDFName.of('First'), children.first);
+            dict.set(PDFName.of('Last'), children.last);
+            dict.set(PDFName.of('Count'), PDFNumber.of(children.count));
+            count += children.count;
+        }
+
+        context.assign(refs[i], dict);
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+// Write a bookmark tree into the document outline and show it when the PDF opens
+function addOutline(pdfDoc, items) {
+    const entries = items.filter(item => item.page);
+    if (entries.length === 0) return;
+
+    const { context } = pdfDoc;
+    const pageIndex = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index]));
+
+    const outlineRef = context.nextRef();
+    const { first, last, count } = writeOutlineItems(context, entries, outlineRef, pageIndex);
+
+    context.assign(outlineRef, context.obj({
+        Type: 'Outlines',
+        First: first,
+        Last: last,
+        Count: count
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+module.exports = {
+    buildArchiveBookmarks,
+    addOutline
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { degrees, rgb } = require('pdf-lib');
+const { parseMetadataOverrides, applyComicInfoOverrides } = require('./metadata');
+const { parsePdfaOption } = require('./pdfa');
+
+// Text and image overlays, drawn onto PDF pages after their images are placed:
+// watermark: text, or a PNG/JPEG image (watermarkImage), with opacity, position, rotation (degrees
+//            anticlockwise) and size (percent of the page width)
+// pageNumbers: a template such as "{page} / {total}" (true means "{page}") in pageNumberPosition
+// header, footer: templates centred at the top and bottom of the page
+// Templates can use {series}, {issue}, {volume}, {title}, {file}, {page} and {total}.
+// PDF/A output allows no transparency: the watermark's colour is lightened by its opacity instead, as
+// it would look on white paper, and image watermarks can't be used.
+// Text is set in overlayFont, a .ttf or .otf file from the fonts directory (FONTS_DIR, default fonts/)
+// or a Buffer holding the font, which is embedded so pages look the same everywhere.
+const POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const PAGE_NUMBER_POSITIONS = ['top-left', 'top', 'top-right', 'bottom-left', 'bottom', 'bottom-right'];
+const OVERLAYS = ['watermark', 'pageNumbers', 'header', 'footer'];
+const DEFAULT_FONT = 'DejaVuSans.ttf';
+
+// Distance of overlays from the page edge in points (5mm)
+const OVERLAY_INSET = 14.17;
+
+const TEMPLATE_FIELD = /\{(series|issue|volume|title|file|page|total)\}/g;
+
+// First bytes of TrueType and OpenType (CFF) font files
+const FONT_SIGNATURES = ['\x00\x01\x00\x00', 'true', 'OTTO'];
+
+// Font files read so far, by path
+const fontFiles = new Map();
+
+function fontsDirectory() {
+    return process.env.FONTS_DIR || path.join(__dirname, '..', 'fonts');
+}
+
+// The font file's contents: a Buffer as it is (the CLI reads a font from anywhere), or a file name
+// in the fonts directory
+function resolveFont(value) {
+    if (Buffer.isBuffer(value)) {
+        if (value.length < 4 || !FONT_SIGNATURES.includes(value.toString('latin1', 0, 4))) {
+            throw new Error('overlayFont must be a TrueType or OpenType font');
+        }
+        return value;
+    }
+    // Only file names: request bodies can't reach outside the fonts directory
+    const fileName = path.basename(String(value || DEFAULT_FONT));
+    const fontPath = path.join(fontsDirectory(), fileName);
+    if (!/\.(ttf|otf)$/i.test(fileName) || !fs.existsSync(fontPath)) {
+        throw new Error('overlayFont must be a .ttf or .otf file in the fonts directory');
+    }
+    if (!fontFiles.has(fontPath)) {
+        fontFiles.set(fontPath, fs.readFileSync(fontPath));
+    }
+    return fontFiles.get(fontPath);
+}
+
+// Single-line text from a body field; '' when unset
+function parseText(value) {
+    return value === undefined || value === null || value === false || value === 'false'
+        ? ''
+        : String(value).replace(/\s+/g, ' ').trim();
+}
+
+function parseNumber(value, name, min, max, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = parseFloat(value);
+    if (!(number >= min && number <= max)) {
+        throw new Error(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function parsePosition(value, name, positions, fallback) {
+    if (!value) return fallback;
+    if (!positions.includes(value)) {
+        throw new Error(`${name} must be one of ${positions.join(', ')}`);
+    }
+    return value;
+}
+
+function parseColor(value = '#808080') {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(value));
+    if (!match) {
+        throw new Error('overlayColor must be a hex colour like #808080');
+    }
+    return rgb(...match.slice(1).map(hex => parseInt(hex, 16) / 255));
+}
+
+// A Buffer, or base64 (optionally a data: URL) from a request body
+function parseImage(value) {
+    if (!value) return null;
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value).replace(/^data:[^,]*,/, ''), 'base64');
+    const png = data.length > 8 && data.readUInt32BE(0) === 0x89504e47;
+    const jpeg = data.length > 3 && data[0] === 0xff && data[1] === 0xd8;
+    if (!png && !jpeg) {
+        throw new Error('watermarkImage must be a PNG or JPEG image, as base64 or a data URL');
+    }
+    return { data, png };
+}
+
+// Read overlay options from a request body; null when no overlay is set
+function parseOverlayOptions(body = {}) {
+    const watermarkText = parseText(body.watermark);
+    const watermarkImage = parseImage(body.watermarkImage);
+    const watermark = watermarkText || watermarkImage ? {
+        text: watermarkText,
+        image: watermarkImage,
+        opacity: parseNumber(body.watermarkOpacity, 'watermarkOpacity', 0, 1, 0.3),
+        position: parsePosition(body.watermarkPosition, 'watermarkPosition', POSITIONS, 'center'),
+        rotation: parseNumber(body.watermarkRotation, 'watermarkRotation', -360, 360, 0),
+        size: parseNumber(body.watermarkSize, 'watermarkSize', 1, 100, 50)
+    } : null;
+
+    const pageNumberTemplate = body.pageNumbers === true || body.pageNumbers === 'true' ? '{page}' : parseText(body.pageNumbers);
+    const pageNumbers = pageNumberTemplate ? {
+        template: pageNumberTemplate,
+        position: parsePosition(body.pageNumberPosition, 'pageNumberPosition', PAGE_NUMBER_POSITIONS, 'bottom')
+    } : null;
+
+    const header = parseText(body.header) || null;
+    const footer = parseText(body.footer) || null;
+
+    if (!watermark && !pageNumbers && !header && !footer) {
+        return null;
+    }
+
+    const opaque = parsePdfaOption(body);
+    if (opaque && watermark && watermark.image) {
+        throw new Error('watermarkImage can\'t be used with PDF/A output');
+    }
+
+    const hasText = (watermark && !watermark.image) || pageNumbers || header || footer;
+    return {
+        watermark,
+        pageNumbers,
+        header,
+        footer,
+        font: hasText ? resolveFont(body.overlayFont) : null,
+        fontSize: parseNumber(body.overlayFontSize, 'overlayFontSize', 4, 72, 10),
+        color: parseColor(body.overlayColor || undefined),
+        opaque,
+        overrides: parseMetadataOverrides(body)
+    };
+}
+
+// Overlays an editor page shows: `overlays: false` switches all of them off for the page, an object
+// such as { pageNumbers: false } only the ones set to false. null when the page shows them all.
+function parsePageOverlays(page = {}) {
+    const value = page.overlays;
+    if (value === undefined || value === null || value === true || value === 'true') {
+        return null;
+    }
+    if (value === false || value === 'false') {
+        return Object.fromEntries(OVERLAYS.map(name => [name, false]));
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`overlays must be true, false or an object of ${OVERLAYS.join(', ')} flags`);
+    }
+    return Object.fromEntries(OVERLAYS.map(name => [name, value[name] !== false && value[name] !== 'false']));
+}
+
+// Template fields of a page from its archive's ComicInfo (with the request's metadata overrides)
+function overlayFields(comicInfo, fileName = '', overrides = {}) {
+    const info = applyComicInfoOverrides(comicInfo, overrides);
+    return {
+        series: info.Series || '',
+        issue: info.Number || '',
+        volume: info.Volume || '',
+        title: info.Title || path.basename(fileName, path.extname(fileName)),
+        file: fileName
+    };
+}
+
+function fillTemplate(template, fields) {
+    return template.replace(TEMPLATE_FIELD, (match, name) => fields[name]).trim();
+}
+
+// Bottom-left origin for a width x height box turned `rotation` degrees about its centre, so that the
+// turned box sits at `position` on the page
+function anchorBox(page, width, height, position, rotation = 0) {
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const boxWidth = Math.abs(width * cos) + Math.abs(height * sin);
+    const boxHeight = Math.abs(width * sin) + Math.abs(height * cos);
+
+    let centreX = pageWidth / 2;
+    if (position.endsWith('left')) centreX = OVERLAY_INSET + boxWidth / 2;
+    if (position.endsWith('right')) centreX = pageWidth - OVERLAY_INSET - boxWidth / 2;
+    let centreY = pageHeight / 2;
+    if (position.startsWith('top')) centreY = pageHeight - OVERLAY_INSET - boxHeight / 2;
+    if (position.startsWith('bottom')) centreY = OVERLAY_INSET + boxHeight / 2;
+
+    return {
+        x: centreX - (width / 2 * cos - height / 2 * sin),
+        y: centreY - (width / 2 * sin + height / 2 * cos),
+        rotate: degrees(rotation)
+    };
+}
+
+// A colour at `opacity` over white
+function lighten(color, opacity) {
+    return rgb(...[color.red, color.green, color.blue].map(value => 1 - opacity * (1 - value)));
+}
+
+function drawText(page, text, position, { font, size, color, opacity, rotation = 0 }) {
+    if (!text) return;
+    const width = font.widthOfTextAtSize(text, size);
+    const height = font.heightAtSize(size, { descender: false });
+    page.drawText(text, { ...anchorBox(page, width, height, position, rotation), font, size, color, opacity });
+}
+
+function drawWatermark(page, watermark, { font, image, color, opaque }) {
+    const width = page.getSize().width * watermark.size / 100;
+    if (image) {
+        const height = width * image.height / image.width;
+        page.drawImage(image, { ...anchorBox(page, width, height, watermark.position, watermark.rotation), width, height, opacity: watermark.opacity });
+        return;
+    }
+    const size = width / font.widthOfTextAtSize(watermark.text, 1);
+    const look = opaque ? { color: lighten(color, watermark.opacity) } : { color, opacity: watermark.opacity };
+    drawText(page, watermark.text, watermark.position, { font, size, ...look, rotation: watermark.rotation });
+}
+
+// Draw overlays onto the pages of a finished PDF. overlayPages maps the PDF pages that get overlays
+// to { comicInfo, fileName, overlays } (overlays: the page's switches from parsePageOverlays);
+// {page} and {total} count every page of the document.
+async function drawOverlays(pdfDoc, overlays, overlayPages) {
+    if (!overlays || !overlayPages || overlayPages.size === 0) {
+        return;
+    }
+
+    let font = null;
+    if (overlays.font) {
+        pdfDoc.registerFontkit(fontkit);
+        font = await pdfDoc.embedFont(overlays.font, { subset: true });
+    }
+
+    let image = null;
+    if (overlays.watermark && overlays.watermark.image) {
+        const { data, png } = overlays.watermark.image;
+        image = png ? await pdfDoc.embedPng(data) : await pdfDoc.embedJpg(new Uint8Array(data));
+    }
+
+    const pages = pdfDoc.getPages();
+    const text = { font, size: overlays.fontSize, color: overlays.color };
+    pages.forEach((page, index) => {
+        const entry = overlayPages.get(page);
+        if (!entry) return;
+
+        const shows = name => overlays[name] && (!entry.overlays || entry.overlays[name]);
+        const fields = {
+            ...overlayFields(entry.comicInfo, entry.fileName, overlays.overrides),
+            page: String(index + 1),
+            total: String(pages.length)
+        };
+
+        if (shows('watermark')) {
+            drawWatermark(page, overlays.watermark, { font, image, color: overlays.color, opaque: overlays.opaque });
+        }
+        if (shows('header')) {
+            drawText(page, fillTemplate(overlays.header, fields), 'top', text);
+        }
+        if (shows('footer')) {
+            drawText(page, fillTemplate(overlays.footer, fields), 'bottom', text);
+        }
+        if (shows('pageNumbers')) {
+            drawText(page, fillTemplate(overlays.pageNumbers.template, fields), overlays.pageNumbers.position, text);
+        }
+    });
+}
+
+module.exports = {
+    POSITIONS,
+    PAGE_NUMBER_POSITIONS,
+    OVERLAYS,
+    parseOverlayOptions,
+    parsePageOverlays,
+    overlayFields,
+    drawOverlays
+};
@@ -0,0 +1,285 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+    PDFDocument,
+    PDFName,
+    PDFArray,
+    PDFDict,
+    PDFNumber,
+    PDFRawStream,
+    PDFString,
+    PDFHexString
+} = require('pdf-lib');
+
+function filterNames(dict) {
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFName) return [filter.asString()];
+    if (filter instanceof PDFArray) return filter.asArray().map(name => name.toString());
+    return [];
+}
+
+function numberOf(dict, key, fallback) {
+    const value = dict.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+// Channel count of a colour space; Indexed colour spaces also return their palette
+function describeColorSpace(colorSpace) {
+    if (colorSpace instanceof PDFName) {
+        const name = colorSpace.asString();
+        if (name === '/DeviceGray' || name === '/CalGray') return { channels: 1 };
+        if (name === '/DeviceRGB' || name === '/CalRGB') return { channels: 3 };
+        if (name === '/DeviceCMYK') return { channels: 4, cmyk: true };
+        return null;
+    }
+
+    if (colorSpace instanceof PDFArray) {
+        const family = colorSpace.lookup(0, PDFName).asString();
+        if (family === '/ICCBased') {
+            const profile = colorSpace.lookup(1, PDFRawStream);
+            const channels = numberOf(profile.dict, 'N', 3);
+            return { channels, cmyk: channels === 4 };
+        }
+        if (family === '/CalGray' || family === '/CalRGB') {
+            return describeColorSpace(PDFName.of(family.slice(1)));
+        }
+        if (family === '/Indexed') {
+            const base = describeColorSpace(colorSpace.lookup(1));
+            const lookup = colorSpace.lookup(3);
+            let palette;
+            if (lookup instanceof PDFString || lookup instanceof PDFHexString) {
+                palette = Buffer.from(lookup.asBytes());
+            } else if (lookup instanceof PDFRawStream) {
+                palette = decodeStreamData(lookup);
+            }
+            if (!base || base.cmyk || !palette) return null;
+            return { channels: base.channels, palette };
+        }
+    }
+
+    return null;
+}
+
+// Reverse the PNG row filters used by /DecodeParms << /Predictor 10..15 >>
+function undoPngPredictor(data, columns, colors, bitsPerComponent) {
+    const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowLength = Math.ceil(columns * colors * bitsPerComponent / 8);
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = Buffer.alloc(rows * rowLength);
+
+    for (let row = 0; row < rows; row++) {
+        const filter = data[row * (rowLength + 1)];
+        const input = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+        const out = row * rowLength;
+
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? output[out + i - bytesPerPixel] : 0;
+            const up = row > 0 ? output[out + i - rowLength] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? output[out + i - rowLength - bytesPerPixel] : 0;
+            let value = input[i];
+
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                value += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            }
+
+            output[out + i] = value & 0xFF;
+        }
+    }
+
+    return output;
+}
+
+// Inflate a FlateDecode stream (or pass an unfiltered one through), undoing PNG predictors
+function decodeStreamData(stream) {
+    const filters = filterNames(stream.dict);
+    let data = Buffer.from(stream.contents);
+
+    if (filters.length === 0) return data;
+    if (filters.length !== 1 || filters[0] !== '/FlateDecode') {
+        throw new Error(`Unsupported stream filter ${filters.join(' ')}`);
+    }
+
+    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+
+    const params = stream.dict.lookup(PDFName.of('DecodeParms'));
+    if (params instanceof PDFDict && numberOf(params, 'Predictor', 1) >= 10) {
+        data = undoPngPredictor(
+            data,
+            numberOf(params, 'Columns', 1),
+            numberOf(params, 'Colors', 1),
+            numberOf(params, 'BitsPerComponent', 8)
+        );
+    }
+
+    return data;
+}
+
+// Unpack 1, 2 or 4-bit samples (rows padded to whole bytes) to one byte each. Colour values are
+// scaled to 0-255; palette indexes are kept as they are.
+function unpackSamples(data, width, height, components, bitsPerComponent, scale) {
+    const samplesPerRow = width * components;
+    const rowLength = Math.ceil(samplesPerRow * bitsPerComponent / 8);
+    const maxValue = (1 << bitsPerComponent) - 1;
+    const samples = Buffer.alloc(samplesPerRow * height);
+    for (let y = 0; y < height; y++) {
+        for (let i = 0; i < samplesPerRow; i++) {
+            const bit = i * bitsPerComponent;
+            const value = (data[y * rowLength + (bit >> 3)] >> (8 - bitsPerComponent - (bit & 7))) & maxValue;
+            samples[y * samplesPerRow + i] = scale ? Math.round(value * 255 / maxValue) : value;
+        }
+    }
+    return samples;
+}
+
+// Turn decoded 8-bit samples into RGB(A) or grey pixels sharp can read
+function toRawPixels(samples, pixelCount, colorSpace) {
+    if (colorSpace.palette) {
+        const { palette, channels } = colorSpace;
+        const pixels = Buffer.alloc(pixelCount * channels);
+        for (let i = 0; i < pixelCount; i++) {
+            palette.copy(pixels, i * channels, samples[i] * channels, (samples[i] + 1) * channels);
+        }
+        return { pixels, channels };
+    }
+
+    if (colorSpace.cmyk) {
+        const pixels = Buffer.alloc(pixelCount * 3);
+        for (let i = 0; i < pixelCount; i++) {
+            const k = 255 - samples[i * 4 + 3];
+            pixels[i * 3] = ((255 - samples[i * 4]) * k) / 255;
+            pixels[i * 3 + 1] = ((255 - samples[i * 4 + 1]) * k) / 255;
+            pixels[i * 3 + 2] = ((255 - samples[i * 4 + 2]) * k) / 255;
+        }
+        return { pixels, channels: 3 };
+    }
+
+    return { pixels: samples.subarray(0, pixelCount * colorSpace.channels), channels: colorSpace.channels };
+}
+
+// Rebuild a Flate image XObject (and its soft mask) as a PNG
+async function flateImageToPng(stream) {
+    const width = numberOf(stream.dict, 'Width', 0);
+    const height = numberOf(stream.dict, 'Height', 0);
+    const bitsPerComponent = numberOf(stream.dict, 'BitsPerComponent', 8);
+    const colorSpace = describeColorSpace(stream.dict.lookup(PDFName.of('ColorSpace')));
+
+    if (!colorSpace) throw new Error('Unsupported colour space');
+    if (![1, 2, 4, 8].includes(bitsPerComponent)) throw new Error(`Unsupported ${bitsPerComponent}-bit image`);
+
+    let samples = decodeStreamData(stream);
+    if (bitsPerComponent < 8) {
+        const components = colorSpace.palette ? 1 : colorSpace.channels;
+        samples = unpackSamples(samples, width, height, components, bitsPerComponent, !colorSpace.palette);
+    }
+    let { pixels, channels } = toRawPixels(samples, width * height, colorSpace);
+
+    const softMask = stream.dict.lookup(PDFName.of('SMask'));
+    if (softMask instanceof PDFRawStream
+        && numberOf(softMask.dict, 'Width', 0) === width
+        && numberOf(softMask.dict, 'Height', 0) === height
+        && numberOf(softMask.dict, 'BitsPerComponent', 8) === 8) {
+        const alpha = decodeStreamData(softMask);
+        const withAlpha = Buffer.alloc(width * height * (channels + 1));
+        for (let i = 0; i < width * height; i++) {
+            pixels.copy(withAlpha, i * (channels + 1), i * channels, (i + 1) * channels);
+            withAlpha[i * (channels + 1) + channels] = alpha[i];
+        }
+        pixels = withAlpha;
+        channels += 1;
+    }
+
+    return sharp(pixels, { raw: { width, height, channels } }).png().toBuffer();
+}
+
+// Decode one image XObject to { data, ext }; throws for encodings that cannot be exported
+async function exportImage(stream) {
+    const filters = filterNames(stream.dict);
+
+    // JPEG data is copied byte for byte
+    if (filters.length === 1 && filters[0] === '/DCTDecode') {
+        return { data: Buffer.from(stream.contents), ext: 'jpg' };
+    }
+
+    if (filters.length <= 1 && (filters.length === 0 || filters[0] === '/FlateDecode')) {
+        return { data: await flateImageToPng(stream), ext: 'png' };
+    }
+
+    throw new Error(`Unsupported image filter ${filters.join(' ')}`);
+}
+
+// Collect image XObjects used by a resource dictionary, descending into form XObjects; `seen` holds
+// the XObjects of the page met so far, so form XObjects that use each other don't loop forever
+function collectImageStreams(resources, seen, images) {
+    if (!(resources instanceof PDFDict)) return;
+
+    const xObjects = resources.lookup(PDFName.of('XObject'));
+    if (!(xObjects instanceof PDFDict)) return;
+
+    for (const [, value] of xObjects.entries()) {
+        if (seen.has(value)) continue;
+        seen.add(value);
+
+        const xObject = xObjects.context.lookup(value);
+        if (!(xObject instanceof PDFRawStream)) continue;
+
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image')) {
+            images.push(xObject);
+        } else if (subtype === PDFName.of('Form')) {
+            collectImageStreams(xObject.dict.lookup(PDFName.of('Resources')), seen, images);
+        }
+    }
+}
+
+// Pull page images out of an image-based PDF, in page order.
+// Returns { images: [{ page, data, ext }], info } where info holds the document metadata;
+// images that can't be read are skipped and reported to `log`.
+async function extractPdfImages(pdfBuffer, log = () => {}) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const images = [];
+
+    const pages = pdfDoc.getPages();
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        // An image shared by several pages (a repeated background, a blank page) belongs to each of them
+        const streams = [];
+        collectImageStreams(pages[pageIndex].node.Resources(), new Set(), streams);
+
+        for (const stream of streams) {
+            try {
+                const image = await exportImage(stream);
+                images.push({ page: pageIndex + 1, ...image });
+            } catch (error) {
+                log(`  ⚠️  Skipping image on page ${pageIndex + 1}: ${error.message}`);
+            }
+        }
+    }
+
+    const language = pdfDoc.catalog.lookup(PDFName.of('Lang'));
+    const viewerPreferences = pdfDoc.catalog.lookup(PDFName.of('ViewerPreferences'));
+    const direction = viewerPreferences instanceof PDFDict
+        ? viewerPreferences.lookup(PDFName.of('Direction'))
+        : undefined;
+
+    return {
+        images,
+        info: {
+            title: pdfDoc.getTitle(),
+            author: pdfDoc.getAuthor(),
+            subject: pdfDoc.getSubject(),
+            keywords: pdfDoc.getKeywords(),
+            language: language instanceof PDFString || language instanceof PDFHexString ? language.decodeText() : undefined,
+            rightToLeft: direction === PDFName.of('R2L')
+        }
+    };
+}
+
+module.exports = {
+    extractPdfImages
+};
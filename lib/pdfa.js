@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { PDFHexString, PDFName, PDFString } = require('pdf-lib');
+const { applyPdfMetadata } = require('./metadata');
+const { parseEncryptionOptions } = require('./encrypt');
+
+// PDF/A-2b (ISO 19005-2, level B) archival output: an embedded sRGB output intent, so page colours are
+// device independent, XMP metadata matching the Info dictionary with the PDF/A identification, and a
+// document ID. Pages keep their images as they are; overlays are drawn without transparency (see
+// parseOverlayOptions). PDF/A files can't be encrypted.
+
+// Conformance written into the XMP identification (pdfaid schema)
+const PDFA_PART = 2;
+const PDFA_CONFORMANCE = 'B';
+
+// The sRGB profile (ICC v2) shipped with pdfkit for its own PDF/A output
+const SRGB_PROFILE_PATH = require.resolve('pdfkit/js/data/sRGB_IEC61966_2_1.icc');
+const SRGB_CONDITION = 'sRGB IEC61966-2.1';
+
+let srgbProfile = null;
+
+// Read the pdfa option from a request body
+function parsePdfaOption(body = {}) {
+    const pdfa = body.pdfa === true || body.pdfa === 'true';
+    if (!pdfa) {
+        return false;
+    }
+    if (String(body.format || 'pdf').toLowerCase() !== 'pdf') {
+        throw new Error('pdfa is only supported for PDF output');
+    }
+    if (parseEncryptionOptions(body)) {
+        throw new Error('PDF/A output can\'t have passwords or permissions');
+    }
+    return true;
+}
+
+function addOutputIntent(pdfDoc) {
+    if (!srgbProfile) {
+        srgbProfile = fs.readFileSync(SRGB_PROFILE_PATH);
+    }
+    const { context } = pdfDoc;
+    const profile = context.register(context.flateStream(srgbProfile, { N: 3 }));
+    const outputIntent = context.obj({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: PDFString.of(SRGB_CONDITION),
+        Info: PDFString.of(SRGB_CONDITION),
+        RegistryName: PDFString.of('http://www.color.org'),
+        DestOutputProfile: profile
+    });
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([outputIntent]));
+}
+
+// Make a finished PDF PDF/A-2b: metadata (in place of applyPdfMetadata), output intent and document
+// ID. The ID is written both to the trailer and to the XMP (xmpMM:DocumentID).
+function applyPdfa(pdfDoc, metadata) {
+    const documentId = crypto.randomUUID();
+    applyPdfMetadata(pdfDoc, metadata, {
+        pdfa: { part: PDFA_PART, conformance: PDFA_CONFORMANCE },
+        documentId
+    });
+    addOutputIntent(pdfDoc);
+
+    const id = PDFHexString.of(documentId.replace(/-/g, ''));
+    pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([id, id]);
+}
+
+module.exports = {
+    PDFA_PART,
+    PDFA_CONFORMANCE,
+    SRGB_CONDITION,
+    parsePdfaOption,
+    applyPdfa
+};
@@ -0,0 +1,68 @@
+const os = require('os');
+
+// Default number of images (and batch files) worked on at once: one per core
+const DEFAULT_CONCURRENCY = typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+
+// sharp runs on libuv's thread pool (4 threads unless UV_THREADPOOL_SIZE is set), so give it a thread
+// per image worked on at once. Only the server and the CLI call this: it has to run before the pool's
+// first task, and programs using the library size the pool themselves.
+function sizeThreadPool(concurrency) {
+    if (!process.env.UV_THREADPOOL_SIZE) {
+        process.env.UV_THREADPOOL_SIZE = String(Math.max(4, concurrency));
+    }
+}
+
+// Limit how many tasks run at once; limit(task) resolves/rejects like task() once a slot is free
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Run task(item, index) for every item with at most `concurrency` in flight, yielding
+// { value } or { error } outcomes in input order. Finished results wait for the ones
+// before them, so at most `concurrency` results are held at any time.
+async function* mapOrdered(items, concurrency, task) {
+    const pending = [];
+    let next = 0;
+
+    const startNext = () => {
+        const index = next++;
+        pending.push(Promise.resolve()
+            .then(() => task(items[index], index))
+            .then(value => ({ value }), error => ({ error })));
+    };
+
+    while (next < items.length || pending.length > 0) {
+        while (next < items.length && pending.length < concurrency) {
+            startNext();
+        }
+        yield await pending.shift();
+    }
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    sizeThreadPool,
+    createLimiter,
+    mapOrdered
+};
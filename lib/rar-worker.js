@@ -0,0 +1,24 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createExtractorFromFile } = require('node-unrar-js');
+const { safeEntryPath } = require('./archive');
+
+// Unpacks files of a RAR archive in a worker thread (see extractImagesFromRAR), since node-unrar-js
+// decompresses synchronously and would otherwise block the event loop for the whole archive.
+// workerData: { filePath, outDir, password, files }; posts back {} once the files are on disk.
+async function unpack({ filePath, outDir, password, files }) {
+    const extractor = await createExtractorFromFile({
+        filepath: filePath,
+        targetPath: outDir,
+        password,
+        filenameTransform: safeEntryPath
+    });
+    // The files are only unpacked as the iterator is consumed
+    [...extractor.extract({ files }).files];
+    return {};
+}
+
+unpack(workerData).then(
+    result => parentPort.postMessage(result),
+    // reason is node-unrar-js's error code (ERAR_BAD_PASSWORD, ...)
+    error => parentPort.postMessage({ error: error.message, reason: error.reason })
+);
@@ -0,0 +1,544 @@
+const sharp = require('sharp');
+const { PDFName, ReadingDirection, degrees, drawImage, rgb } = require('pdf-lib');
+const { isRightToLeftComicInfo } = require('./metadata');
+const { EpubDocument } = require('./epub');
+const { detectImageFormat } = require('./archive');
+const { parseDeviceOptions, packGrayLevels, renderForDevice } = require('./devices');
+const { parseEnhanceOptions, mergeEnhancements, hasEnhancements, deviceForEnhancements, applyEnhancements } = require('./enhance');
+const { transformPageImage } = require('./transform');
+const { parseOverlayOptions } = require('./overlays');
+
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+
+// Millimetres to PDF points (1pt = 1/72 inch)
+const MM_TO_PT = 72 / 25.4;
+
+// Named page sizes in PDF points (portrait)
+const PAGE_SIZES = {
+    a4: { width: A4_WIDTH, height: A4_HEIGHT },
+    letter: { width: 612, height: 792 },
+    a5: { width: 419.53, height: 595.28 },
+    b5: { width: 498.9, height: 708.66 }
+};
+
+const FIT_MODES = ['contain', 'cover', 'fit-width', 'stretch'];
+
+// Images wider than this (width / height) are treated as double-page spreads
+const SPREAD_ASPECT_RATIO = 1.2;
+
+// none: keep spreads as-is, split: two portrait pages, rotate: whole spread on a landscape page
+const SPREAD_MODES = ['none', 'split', 'rotate'];
+
+// auto: keep original JPEG/PNG bytes unless re-encoding makes them smaller, always: keep them
+// whenever they can be embedded as-is, never: re-encode every page at the chosen quality
+const PASSTHROUGH_MODES = ['auto', 'always', 'never'];
+
+// JPEG frame markers that PDF readers and EPUB readers decode: baseline, extended sequential, progressive
+const PASSTHROUGH_JPEG_FRAMES = [0xc0, 0xc1, 0xc2];
+
+// Read page layout options from a request body
+// pageSize: a4 | letter | a5 | b5 | custom | image | device (the screen size of the device profile)
+// pageWidth/pageHeight: custom size in mm, margin: mm, fitMode: one of FIT_MODES
+// spreadMode: one of SPREAD_MODES
+// readingDirection: ltr | rtl | auto (rtl when ComicInfo.xml marks the archive as manga)
+// blankFirstPage: insert a blank page first so facing pages line up in two-page viewers
+// passthrough: one of PASSTHROUGH_MODES
+// device, dither, colorPages: e-reader profile options (see parseDeviceOptions)
+// normalize, whitePoint, sharpen, despeckle, gamma: image enhancements (see parseEnhanceOptions)
+function parseLayoutOptions(body = {}) {
+    let pageSize = String(body.pageSize || 'a4').toLowerCase();
+    const fitMode = FIT_MODES.includes(body.fitMode) ? body.fitMode : 'contain';
+    const spreadMode = SPREAD_MODES.includes(body.spreadMode) ? body.spreadMode : 'none';
+    const readingDirection = ['ltr', 'rtl'].includes(body.readingDirection) ? body.readingDirection : 'auto';
+    const blankFirstPage = body.blankFirstPage === true || body.blankFirstPage === 'true';
+    const passthrough = PASSTHROUGH_MODES.includes(body.passthrough) ? body.passthrough : 'auto';
+    const margin = Math.max(0, parseFloat(body.margin) || 0) * MM_TO_PT;
+    const device = parseDeviceOptions(body);
+    const enhance = parseEnhanceOptions(body);
+    const overlays = parseOverlayOptions(body);
+
+    let width = A4_WIDTH;
+    let height = A4_HEIGHT;
+
+    if (pageSize === 'custom') {
+        const customWidth = parseFloat(body.pageWidth);
+        const customHeight = parseFloat(body.pageHeight);
+        if (!(customWidth > 0) || !(customHeight > 0)) {
+            throw new Error('Custom page size requires pageWidth and pageHeight in mm');
+        }
+        width = customWidth * MM_TO_PT;
+        height = customHeight * MM_TO_PT;
+    } else if (pageSize === 'device') {
+        if (!device) {
+            throw new Error('pageSize device requires a device profile');
+        }
+        width = device.width / device.ppi * 72;
+        height = device.height / device.ppi * 72;
+    } else if (PAGE_SIZES[pageSize]) {
+        width = PAGE_SIZES[pageSize].width;
+        height = PAGE_SIZES[pageSize].height;
+    } else if (pageSize !== 'image') {
+        pageSize = 'a4';
+    }
+
+    if (pageSize !== 'image' && (2 * margin >= width || 2 * margin >= height)) {
+        throw new Error('Margin is larger than the page');
+    }
+
+    return { pageSize, width, height, margin, fitMode, spreadMode, readingDirection, blankFirstPage, passthrough, device, enhance, overlays };
+}
+
+// Resolve readingDirection 'auto' for a single archive
+function resolveReadingDirection(layout, comicInfo) {
+    if (layout.readingDirection !== 'auto') {
+        return layout;
+    }
+    return { ...layout, readingDirection: isRightToLeftComicInfo(comicInfo) ? 'rtl' : 'ltr' };
+}
+
+// Reading direction of a merged PDF: 'auto' only becomes rtl when every source is rtl
+function combinedReadingDirection(layout, fileDirections) {
+    if (layout.readingDirection !== 'auto') {
+        return layout.readingDirection;
+    }
+    return fileDirections.length > 0 && fileDirections.every(direction => direction === 'rtl') ? 'rtl' : 'ltr';
+}
+
+// Apply document-level reading options before saving
+function applyReadingOptions(pdfDoc, { readingDirection, blankFirstPage, bgColor }) {
+    if (pdfDoc instanceof EpubDocument) {
+        if (blankFirstPage && pdfDoc.getPageCount() > 0) {
+            pdfDoc.insertBlankPage(0, bgColor);
+        }
+        pdfDoc.setReadingDirection(readingDirection);
+        return;
+    }
+    
+    if (blankFirstPage && pdfDoc.getPageCount() > 0) {
+        const { width, height } = pdfDoc.getPage(0).getSize();
+        const blankPage = pdfDoc.insertPage(0, [width, height]);
+        blankPage.drawRectangle({
+            x: 0,
+            y: 0,
+            width,
+            height,
+            color: bgColor === 'black' ? rgb(0, 0, 0) : rgb(1, 1, 1)
+        });
+    }
+
+    if (readingDirection === 'rtl') {
+        pdfDoc.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L);
+        pdfDoc.catalog.set(PDFName.of('PageLayout'), PDFName.of('TwoPageRight'));
+    }
+}
+
+// Work out page size, drawn image box and (optional) source crop for one image.
+// All positions are in PDF points with the origin at the bottom-left of the page.
+function computePageLayout(layout, imgWidth, imgHeight) {
+    const { margin, fitMode } = layout;
+
+    if (layout.pageSize === 'image') {
+        // Page follows the image's aspect ratio; longest side matches A4's long side
+        const scale = (imgWidth > 0 && imgHeight > 0) ? A4_HEIGHT / Math.max(imgWidth, imgHeight) : 1;
+        const drawWidth = imgWidth * scale;
+        const drawHeight = imgHeight * scale;
+        return {
+            pageWidth: drawWidth + 2 * margin,
+            pageHeight: drawHeight + 2 * margin,
+            x: margin,
+            y: margin,
+            width: drawWidth,
+            height: drawHeight,
+            crop: null
+        };
+    }
+
+    const pageWidth = layout.width;
+    const pageHeight = layout.height;
+    const availableWidth = pageWidth - (2 * margin);
+    const availableHeight = pageHeight - (2 * margin);
+
+    let finalWidth = availableWidth;
+    let finalHeight = availableHeight;
+    let crop = null;
+
+    if (imgWidth > 0 && imgHeight > 0 && fitMode !== 'stretch') {
+        const scaleW = availableWidth / imgWidth;
+        const scaleH = availableHeight / imgHeight;
+        let scale;
+
+        if (fitMode === 'cover') {
+            scale = Math.max(scaleW, scaleH);
+        } else if (fitMode === 'fit-width') {
+            scale = scaleW;
+        } else {
+            scale = Math.min(scaleW, scaleH);
+        }
+
+        finalWidth = imgWidth * scale;
+        finalHeight = imgHeight * scale;
+
+        // Anything overflowing the printable area is cropped from the source (centered)
+        if (finalWidth > availableWidth + 0.01 || finalHeight > availableHeight + 0.01) {
+            const cropWidth = Math.min(imgWidth, Math.round(availableWidth / scale));
+            const cropHeight = Math.min(imgHeight, Math.round(availableHeight / scale));
+            crop = {
+                left: Math.floor((imgWidth - cropWidth) / 2),
+                top: Math.floor((imgHeight - cropHeight) / 2),
+                width: cropWidth,
+                height: cropHeight
+            };
+            finalWidth = Math.min(finalWidth, availableWidth);
+            finalHeight = Math.min(finalHeight, availableHeight);
+        }
+    }
+
+    return {
+        pageWidth,
+        pageHeight,
+        x: (pageWidth - finalWidth) / 2,
+        y: (pageHeight - finalHeight) / 2,
+        width: finalWidth,
+        height: finalHeight,
+        crop
+    };
+}
+
+// Check image metadata for a landscape double-page spread
+function isSpread(metadata) {
+    return metadata.width > 0 && metadata.height > 0 &&
+        metadata.width / metadata.height >= SPREAD_ASPECT_RATIO;
+}
+
+// Source regions for both halves of a spread, in reading order
+function getSpreadHalves(imgWidth, imgHeight, readingDirection) {
+    const leftWidth = Math.floor(imgWidth / 2);
+    const left = { half: 'left', left: 0, top: 0, width: leftWidth, height: imgHeight };
+    const right = { half: 'right', left: leftWidth, top: 0, width: imgWidth - leftWidth, height: imgHeight };
+    return readingDirection === 'rtl' ? [right, left] : [left, right];
+}
+
+// Frame (SOFn) marker of a JPEG, or null when there is none before the image data
+function jpegFrameMarker(buffer) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            // Fill byte
+            offset++;
+            continue;
+        }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return marker;
+        }
+        if (marker === 0xda || marker === 0xd9) {
+            return null;
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// ICC profile that is (a variant of) sRGB, in its ASCII or UTF-16 description
+function isSrgbProfile(icc) {
+    return icc.includes('sRGB') || icc.includes(Buffer.from('\0s\0R\0G\0B', 'latin1'));
+}
+
+// Whether the original bytes of a whole image can be embedded without decoding them: PNGs, and 8-bit
+// grey or RGB baseline/progressive JPEGs in sRGB (a re-encode converts other profiles to sRGB)
+function canPassThrough(imageBuffer, metadata) {
+    if (metadata.format === 'png') {
+        return true;
+    }
+    return metadata.format === 'jpeg' &&
+        metadata.depth === 'uchar' &&
+        (metadata.channels === 1 || metadata.channels === 3) &&
+        (!metadata.icc || isSrgbProfile(metadata.icc)) &&
+        PASSTHROUGH_JPEG_FRAMES.includes(jpegFrameMarker(imageBuffer));
+}
+
+// Image data for one page: the original bytes when `original` says they can be used unchanged and the
+// passthrough mode allows it, otherwise the pipeline re-encoded at `quality`.
+// pdf-lib recompresses PNGs into the PDF itself, so re-encoding a whole PNG for a PDF never pays off.
+// JPEG has no transparency, so transparent pixels are filled with the page background first.
+async function encodePageImage(pipeline, imageBuffer, { png, bgColor, quality, passthrough, original, epub }) {
+    const reencode = () => png
+        ? pipeline.png({ compressionLevel: Math.floor(quality / 20) }).toBuffer()
+        : pipeline
+            .flatten({ background: bgColor === 'black' ? '#000000' : '#ffffff' })
+            .jpeg({ quality: quality, progressive: true })
+            .toBuffer();
+
+    if (!original || passthrough === 'never') {
+        return reencode();
+    }
+    if (passthrough === 'always' || quality >= 100 || (png && !epub)) {
+        return imageBuffer;
+    }
+
+    const encoded = await reencode();
+    return encoded.length < imageBuffer.length ? encoded : imageBuffer;
+}
+
+// Process a page for an e-reader (see renderForDevice) and encode it. Dithered grey pages keep exactly
+// their 16 grey levels: packed 4-bit pixels for PDFs, a 16-colour PNG for EPUBs. Grey pages from PNGs
+// go into PDFs as 8-bit grey pixels rather than pdf-lib's RGB. `gray` gives placeImagePage the bits per pixel.
+// Other pages are encoded like any re-encoded page.
+async function prepareDevicePage(pipeline, device, { png, bgColor, quality, landscape, epub }) {
+    const page = await renderForDevice(pipeline, device, { bgColor, landscape });
+    if (page.dithered && !epub) {
+        return { data: packGrayLevels(page.pixels, page.width, page.height), png: false, gray: 4, width: page.width, height: page.height };
+    }
+    if (!page.color && png && !epub) {
+        return { data: page.pixels, png: false, gray: 8, width: page.width, height: page.height };
+    }
+
+    let output;
+    if (page.dithered) {
+        output = page.image.png({ palette: true, colours: 16, dither: 0 });
+    } else if (png) {
+        output = page.image.png({ compressionLevel: Math.floor(quality / 20) });
+    } else if (page.color) {
+        output = page.image
+            .flatten({ background: bgColor === 'black' ? '#000000' : '#ffffff' })
+            .jpeg({ quality: quality, progressive: true });
+    } else {
+        output = page.image.jpeg({ quality: quality, progressive: true });
+    }
+    const { data, info } = await output.toBuffer({ resolveWithObject: true });
+    return { data, png: png || page.dithered, gray: null, width: info.width, height: info.height };
+}
+
+// Encode an image (or a region of it) for one page using the given layout options, keeping the
+// original bytes where layout.passthrough allows (see encodePageImage). Enhancements (layout.enhance
+// with the page's own `enhance` options on top) are applied to the cut-out region, which means the
+// page is always re-encoded. With a device profile every page is processed for the device afterwards.
+// A page `transform` from the editor (see parsePageTransform) rotates and crops the region first,
+// so the page is fitted to what is left of it.
+// This is the CPU-heavy part of a page and runs in the image pool; placeImagePage() adds the result.
+async function prepareImagePage(imageBuffer, { bgColor, quality, layout, metadata, region = null, landscape = false, epub = false, enhance = null, transform = null }) {
+    // Determine if PNG or JPG based on buffer
+    const isPng = imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50;
+    const passthrough = layout.passthrough || 'auto';
+    enhance = mergeEnhancements(layout.enhance, enhance);
+    const enhanced = hasEnhancements(enhance);
+    const device = deviceForEnhancements(layout.device, enhance);
+
+    if (!metadata) {
+        metadata = await readImageMetadata(imageBuffer);
+    }
+    let srcWidth = region ? region.width : metadata.width;
+    let srcHeight = region ? region.height : metadata.height;
+
+    // The transformed region takes the place of the image from here on
+    let source = sharp(imageBuffer);
+    let imageInfo = metadata;
+    if (transform) {
+        if (region) {
+            source = source.extract(region);
+        }
+        const transformed = await transformPageImage(source, transform, { width: srcWidth, height: srcHeight, channels: metadata.channels, bgColor });
+        source = transformed.image;
+        srcWidth = transformed.width;
+        srcHeight = transformed.height;
+        imageInfo = { channels: transformed.channels, hasAlpha: transformed.channels === 2 || transformed.channels === 4 };
+        region = null;
+        // A spread turned upright no longer needs a landscape page, and a page turned on its side does
+        if (layout.spreadMode === 'rotate') {
+            landscape = isSpread({ width: srcWidth, height: srcHeight });
+        }
+    }
+
+    // EPUB pages take the size of the image itself, so only spread halves are cut out
+    if (epub) {
+        let pipeline = source;
+        if (region) {
+            pipeline = pipeline.extract(region);
+        }
+        pipeline = await applyEnhancements(pipeline, enhance, imageInfo);
+        if (device) {
+            const page = await prepareDevicePage(pipeline, device, { png: isPng, bgColor, quality, landscape, epub });
+            return { ...page, bgColor, placement: null };
+        }
+        const original = !region && !transform && !enhanced && canPassThrough(imageBuffer, metadata);
+        const encoded = await encodePageImage(pipeline, imageBuffer, { png: isPng, bgColor, quality, passthrough, original, epub });
+        return { data: encoded, png: isPng, bgColor, width: srcWidth, height: srcHeight, placement: null };
+    }
+
+    // Landscape pages swap the configured page dimensions
+    let pageLayout = layout;
+    if (landscape && layout.height > layout.width) {
+        pageLayout = { ...layout, width: layout.height, height: layout.width };
+    }
+
+    const placement = computePageLayout(pageLayout, srcWidth, srcHeight);
+
+    let pipeline = source;
+    if (region || placement.crop) {
+        const crop = placement.crop || { left: 0, top: 0, width: srcWidth, height: srcHeight };
+        pipeline = pipeline.extract({
+            left: (region ? region.left : 0) + crop.left,
+            top: (region ? region.top : 0) + crop.top,
+            width: crop.width,
+            height: crop.height
+        });
+    }
+
+    pipeline = await applyEnhancements(pipeline, enhance, imageInfo);
+
+    if (device) {
+        const page = await prepareDevicePage(pipeline, device, { png: isPng, bgColor, quality, landscape, epub });
+        return { ...page, bgColor, placement };
+    }
+
+    const original = !region && !placement.crop && !transform && !enhanced && canPassThrough(imageBuffer, metadata);
+    const imageDataBuffer = await encodePageImage(pipeline, imageBuffer, { png: isPng, bgColor, quality, passthrough, original, epub });
+
+    return { data: imageDataBuffer, png: isPng, bgColor, width: srcWidth, height: srcHeight, placement };
+}
+
+// Draw packed DeviceGray pixels (`bitsPerComponent` bits each, rows padded to whole bytes) as a
+// Flate-compressed image. pdf-lib's own embedders only take JPEGs, and PNGs which they store as RGB.
+function drawGrayImage(pdfDoc, page, data, { width, height, bitsPerComponent, placement }) {
+    const ref = pdfDoc.context.register(pdfDoc.context.flateStream(data, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: height,
+        ColorSpace: 'DeviceGray',
+        BitsPerComponent: bitsPerComponent
+    }));
+    const name = page.node.newXObject('Image', ref);
+    page.pushOperators(...drawImage(name, {
+        x: placement.x,
+        y: placement.y,
+        width: placement.width,
+        height: placement.height,
+        rotate: degrees(0),
+        xSkew: degrees(0),
+        ySkew: degrees(0)
+    }));
+}
+
+// A blank page in the page background, inserted in the editor. It takes the configured page size;
+// when pages follow their images, placeImagePage() gives it the size of the page before it.
+function prepareBlankPage({ bgColor, layout }) {
+    const placement = layout.pageSize === 'image' ? null : { pageWidth: layout.width, pageHeight: layout.height };
+    return { blank: true, bgColor, placement };
+}
+
+// Add a page prepared by prepareImagePage() (or prepareBlankPage()) to the document; returns the new page
+async function placeImagePage(pdfDoc, { data, png, gray, blank = false, bgColor, width, height, placement }) {
+    if (pdfDoc instanceof EpubDocument) {
+        if (blank) {
+            return pdfDoc.insertBlankPage(pdfDoc.getPageCount(), bgColor);
+        }
+        return pdfDoc.addImagePage(data, { width, height, png, background: bgColor });
+    }
+
+    if (blank && !placement) {
+        const pageCount = pdfDoc.getPageCount();
+        const previous = pageCount > 0 ? pdfDoc.getPage(pageCount - 1).getSize() : { width: A4_WIDTH, height: A4_HEIGHT };
+        placement = { pageWidth: previous.width, pageHeight: previous.height };
+    }
+
+    const page = pdfDoc.addPage([placement.pageWidth, placement.pageHeight]);
+
+    page.drawRectangle({
+        x: 0,
+        y: 0,
+        width: placement.pageWidth,
+        height: placement.pageHeight,
+        color: bgColor === 'black' ? rgb(0, 0, 0) : rgb(1, 1, 1)
+    });
+
+    if (blank) {
+        return page;
+    }
+
+    if (gray) {
+        drawGrayImage(pdfDoc, page, data, { width, height, bitsPerComponent: gray, placement });
+        return page;
+    }
+
+    let image;
+    if (png) {
+        image = await pdfDoc.embedPng(data);
+    } else {
+        // pdf-lib parses JPEGs from the start of data.buffer, which a small Buffer shares with others
+        image = await pdfDoc.embedJpg(new Uint8Array(data));
+    }
+
+    page.drawImage(image, {
+        x: placement.x,
+        y: placement.y,
+        width: placement.width,
+        height: placement.height
+    });
+
+    return page;
+}
+
+// sharp metadata of a page image; images sharp can't read in this build fail with an error naming their format.
+// Only the first frame of animated GIF and WebP images is read.
+async function readImageMetadata(imageBuffer) {
+    try {
+        return await sharp(imageBuffer).metadata();
+    } catch (error) {
+        const format = detectImageFormat(imageBuffer);
+        if (format && !format.decodable) {
+            throw new Error(`${format.label} images are not supported by the installed sharp build`);
+        }
+        throw error;
+    }
+}
+
+// Prepare an image as one or more pages, handling double-page spreads per layout.spreadMode.
+// Passing half ('left' | 'right') renders only that half of a spread (used by the editor).
+async function prepareImagePages(imageBuffer, { half, ...options }) {
+    const { layout } = options;
+    const metadata = await readImageMetadata(imageBuffer);
+
+    if (!isSpread(metadata) || (layout.spreadMode === 'none' && !half)) {
+        return [await prepareImagePage(imageBuffer, { ...options, metadata })];
+    }
+
+    if (layout.spreadMode === 'rotate' && !half) {
+        return [await prepareImagePage(imageBuffer, { ...options, metadata, landscape: true })];
+    }
+
+    const halves = getSpreadHalves(metadata.width, metadata.height, layout.readingDirection)
+        .filter(region => !half || region.half === half);
+
+    return Promise.all(halves.map(region => prepareImagePage(imageBuffer, { ...options, metadata, region })));
+}
+
+// Add prepared pages in order; returns the new pages
+async function placeImagePages(pdfDoc, preparedPages) {
+    const pages = [];
+    for (const prepared of preparedPages) {
+        pages.push(await placeImagePage(pdfDoc, prepared));
+    }
+    return pages;
+}
+
+module.exports = {
+    PAGE_SIZES,
+    FIT_MODES,
+    SPREAD_MODES,
+    PASSTHROUGH_MODES,
+    parseLayoutOptions,
+    resolveReadingDirection,
+    combinedReadingDirection,
+    applyReadingOptions,
+    computePageLayout,
+    isSpread,
+    getSpreadHalves,
+    readImageMetadata,
+    prepareImagePage,
+    prepareImagePages,
+    prepareBlankPage,
+    placeImagePage,
+    placeImagePages
+};
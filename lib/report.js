@@ -0,0 +1,76 @@
+// Conversion report: which files and pages made it into the output, and why the others didn't.
+// Skipped pages have a `kind`: unreadable (could not be read from the archive), undecodable
+// (not a usable image), missing (selected in the editor but not in the archive) or failed.
+
+// Raised instead of leaving pages or files out when the `strict` option is set
+class StrictModeError extends Error {}
+
+// Report headers are kept under this size; larger reports are sent without per-file details
+const MAX_HEADER_LENGTH = 8 * 1024;
+
+function parseStrict(body = {}) {
+    return body.strict === true || body.strict === 'true';
+}
+
+function createReport() {
+    return { files: [] };
+}
+
+// Add the entry of one source file; index keeps entries in input order when files run side by side
+function addFileReport(report, fileName, index = report.files.length) {
+    const fileReport = { file: fileName, status: 'converted', pagesConverted: 0, skippedPages: [] };
+    report.files[index] = fileReport;
+    return fileReport;
+}
+
+// source: for a page moved in from another file of a combined conversion, that file
+function skipPage(fileReport, { page, image, half, source, kind = 'failed', reason }) {
+    const skipped = { page, image, kind, reason };
+    if (half) skipped.half = half;
+    if (source) skipped.source = source;
+    fileReport.skippedPages.push(skipped);
+}
+
+function failFile(fileReport, error) {
+    fileReport.status = 'failed';
+    fileReport.error = error.message;
+}
+
+// Totals plus the per-file entries, as returned to clients
+function finishReport(report) {
+    const files = report.files.filter(Boolean);
+    const skippedPages = files.flatMap(file => file.skippedPages.map(page => ({ file: file.file, ...page })));
+    return {
+        filesConverted: files.filter(file => file.status === 'converted').length,
+        filesFailed: files.filter(file => file.status === 'failed').length,
+        pagesConverted: files.reduce((sum, file) => sum + file.pagesConverted, 0),
+        pagesSkipped: skippedPages.length,
+        undecodableImages: skippedPages
+            .filter(page => page.kind === 'undecodable')
+            .map(({ file, page, image }) => ({ file, page, image })),
+        files
+    };
+}
+
+// The report as an X-Conversion-Report header value: JSON with non-ASCII characters escaped,
+// dropping the per-file details when they would make the header too large
+function reportHeader(report) {
+    const escape = json => json.replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    const header = escape(JSON.stringify(report));
+    if (header.length <= MAX_HEADER_LENGTH) {
+        return header;
+    }
+    const { files, undecodableImages, ...totals } = report;
+    return escape(JSON.stringify({ ...totals, truncated: true }));
+}
+
+module.exports = {
+    StrictModeError,
+    parseStrict,
+    createReport,
+    addFileReport,
+    skipPage,
+    failFile,
+    finishReport,
+    reportHeader
+};
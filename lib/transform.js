@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+
+// Rotation and crop of a single page, set in the editor. They are applied to the page image (or its
+// spread half) before it is fitted to the page:
+// rotate: quarter turns clockwise, 0 | 90 | 180 | 270
+// deskew: fine clockwise rotation in degrees (negative turns anticlockwise) for pages scanned at a slant;
+//         the page keeps its size and the corners turned in are filled with the page background
+// crop: { left, top, width, height } as fractions (0-1) of the rotated and deskewed page
+const QUARTER_TURNS = [0, 90, 180, 270];
+const MAX_DESKEW = 45;
+
+// Read the transform of an editor page entry; null when it has none
+function parsePageTransform(page = {}) {
+    const rotate = page.rotate === undefined || page.rotate === null ? 0 : ((Number(page.rotate) % 360) + 360) % 360;
+    if (!QUARTER_TURNS.includes(rotate)) {
+        throw new Error('rotate must be 0, 90, 180 or 270');
+    }
+
+    const deskew = page.deskew === undefined || page.deskew === null ? 0 : Number(page.deskew);
+    if (!(Math.abs(deskew) <= MAX_DESKEW)) {
+        throw new Error(`deskew must be an angle between -${MAX_DESKEW} and ${MAX_DESKEW} degrees`);
+    }
+
+    let crop = null;
+    if (page.crop) {
+        crop = {};
+        for (const key of ['left', 'top', 'width', 'height']) {
+            crop[key] = Number(page.crop[key]);
+        }
+        // Rectangles drawn in the browser may overshoot the edge by a rounding error
+        const valid = crop.left >= 0 && crop.top >= 0 && crop.width > 0 && crop.height > 0 &&
+            crop.left + crop.width <= 1.001 && crop.top + crop.height <= 1.001;
+        if (!valid) {
+            throw new Error('crop must be { left, top, width, height } fractions (0-1) of the page');
+        }
+        if (crop.left === 0 && crop.top === 0 && crop.width >= 1 && crop.height >= 1) {
+            crop = null;
+        }
+    }
+
+    if (rotate === 0 && deskew === 0 && !crop) {
+        return null;
+    }
+    return { rotate, deskew, crop };
+}
+
+// Rotate, deskew and crop a page image (a sharp pipeline of width x height pixels, already cut to
+// its spread half). Returns { image, width, height, channels }: image is a new sharp instance of the
+// result, which later steps can crop and resize like any page image.
+async function transformPageImage(pipeline, { rotate, deskew, crop }, { width, height, channels = 3, bgColor = 'white' }) {
+    const background = bgColor === 'black' ? '#000000' : '#ffffff';
+    const turned = rotate === 90 || rotate === 270;
+    const pageWidth = turned ? height : width;
+    const pageHeight = turned ? width : height;
+
+    if (rotate + deskew !== 0) {
+        pipeline = pipeline.rotate(rotate + deskew, { background });
+    }
+    // Grey images would otherwise come out as RGB
+    if (channels <= 2) {
+        pipeline = pipeline.toColourspace('b-w');
+    }
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+    // Deskewing enlarges the image to hold the turned corners; cut it back to the page, centred
+    const pageLeft = Math.max(0, Math.floor((info.width - pageWidth) / 2));
+    const pageTop = Math.max(0, Math.floor((info.height - pageHeight) / 2));
+    const area = crop || { left: 0, top: 0, width: 1, height: 1 };
+    const left = Math.min(pageWidth - 1, Math.round(area.left * pageWidth));
+    const top = Math.min(pageHeight - 1, Math.round(area.top * pageHeight));
+    const region = {
+        left: pageLeft + left,
+        top: pageTop + top,
+        width: Math.max(1, Math.min(pageWidth - left, Math.round(area.width * pageWidth))),
+        height: Math.max(1, Math.min(pageHeight - top, Math.round(area.height * pageHeight)))
+    };
+
+    const raw = { width: info.width, height: info.height, channels: info.channels };
+    const pixels = await sharp(data, { raw }).extract(region).raw().toBuffer();
+    let image = sharp(pixels, { raw: { width: region.width, height: region.height, channels: info.channels } });
+    if (info.channels <= 2) {
+        image = image.toColourspace('b-w');
+    }
+    return { image, width: region.width, height: region.height, channels: info.channels };
+}
+
+module.exports = {
+    QUARTER_TURNS,
+    MAX_DESKEW,
+    parsePageTransform,
+    transformPageImage
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { COMIC_EXTENSION_PATTERN } = require('./archive');
+const { parseLayoutOptions } = require('./render');
+const { parseMetadataOverrides } = require('./metadata');
+const { parseOutputFormat } = require('./convert');
+const { parseEncryptionOptions } = require('./encrypt');
+const { parsePdfaOption } = require('./pdfa');
+const { convert } = require('./index');
+
+// Finished conversions listed in the status report
+const HISTORY_LENGTH = 20;
+
+// Preset fields left out of the status report: archive and PDF passwords
+const SECRET_PRESET_FIELDS = ['password', 'userPassword', 'ownerPassword'];
+
+// Move a file, copying it when source and target are on different file systems
+function moveFile(source, target) {
+    try {
+        fs.renameSync(source, target);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(source, target);
+        fs.unlinkSync(source);
+    }
+}
+
+// Path for fileName in dir that doesn't overwrite an existing file (name-1.cbz, name-2.cbz, ...)
+function availablePath(dir, fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    let candidate = path.join(dir, fileName);
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = path.join(dir, `${base}-${i}${ext}`);
+    }
+    return candidate;
+}
+
+// Watch an inbox directory and convert every comic archive dropped into it.
+// The inbox is polled rather than watched with fs.watch, which misses changes on network shares;
+// a file is only picked up once its size and modification time have stopped changing for settleTime ms.
+// preset holds the same options as an /api/convert request body. log receives the watcher's own
+// messages, failures included, and conversionLog the progress messages of each conversion (see the
+// `log` option of convert).
+function createWatcher({
+    inbox,
+    outbox = path.join(inbox, 'converted'),
+    doneDir = path.join(inbox, 'done'),
+    failedDir = path.join(inbox, 'failed'),
+    preset = {},
+    pollInterval = 2000,
+    settleTime = 5000,
+    log = console.log,
+    conversionLog = () => {}
+}) {
+    // Reject a bad preset before any file is touched
+    parseLayoutOptions(preset);
+    parseMetadataOverrides(preset);
+    parseOutputFormat(preset);
+    parseEncryptionOptions(preset);
+    parsePdfaOption(preset);
+
+    const dirs = {
+        inbox: path.resolve(inbox),
+        outbox: path.resolve(outbox),
+        doneDir: path.resolve(doneDir),
+        failedDir: path.resolve(failedDir)
+    };
+
+    const settling = new Map();
+    const queue = [];
+    // Files that could not be moved out of the inbox, by modification time, so they aren't converted again
+    const stuck = new Map();
+    const history = [];
+    const counts = { converted: 0, failed: 0 };
+    let current = null;
+    let timer = null;
+    let startedAt = null;
+
+    const record = entry => {
+        history.unshift({ ...entry, finishedAt: new Date().toISOString() });
+        history.length = Math.min(history.length, HISTORY_LENGTH);
+    };
+
+    const convertNext = async () => {
+        if (current || queue.length === 0 || !timer) return;
+
+        const name = queue.shift();
+        const source = path.join(dirs.inbox, name);
+        current = { file: name, startedAt: new Date().toISOString(), percent: 0 };
+        log(`📥 Watch folder: converting ${name}`);
+
+        try {
+            const result = await convert(source, { ...preset, log: conversionLog }).on('page', event => {
+                current.percent = Math.round(event.page / event.pageCount * 100);
+            });
+
+            // Write under a temporary name so nothing picks up a half-written output, next to (not over)
+            // an earlier output of the same name
+            const output = availablePath(dirs.outbox, result.fileName);
+            fs.writeFileSync(`${output}.part`, result.data);
+            fs.renameSync(`${output}.part`, output);
+
+            moveFile(source, availablePath(dirs.doneDir, name));
+            counts.converted++;
+            record({ file: name, status: 'done', output, pagesSkipped: result.report.pagesSkipped });
+            log(`📤 Watch folder: ${name} -> ${output}`);
+        } catch (error) {
+            counts.failed++;
+            record({ file: name, status: 'failed', error: error.message });
+            log(`❌ Watch folder: ${name} failed:`, error.message);
+
+            try {
+                const target = availablePath(dirs.failedDir, name);
+                moveFile(source, target);
+                const report = error.report ? `\nConversion report:\n${JSON.stringify(error.report, null, 2)}\n` : '';
+                fs.writeFileSync(`${target}.error.log`, `${new Date().toISOString()} Failed to convert ${name}\n${error.stack || error.message}\n${report}`);
+            } catch (moveError) {
+                log(`❌ Watch folder: could not move ${name} to ${dirs.failedDir}:`, moveError.message);
+            }
+        }
+
+        // Leave a file that is still in the inbox alone until it changes
+        if (fs.existsSync(source)) {
+            stuck.set(name, fs.statSync(source).mtimeMs);
+        }
+
+        current = null;
+        convertNext();
+    };
+
+    const scan = () => {
+        let names;
+        try {
+            names = fs.readdirSync(dirs.inbox);
+        } catch (error) {
+            log(`❌ Watch folder: cannot read ${dirs.inbox}:`, error.message);
+            return;
+        }
+
+        const now = Date.now();
+        const present = new Set();
+
+        for (const name of names) {
+            if (name.startsWith('.') || !COMIC_EXTENSION_PATTERN.test(name)) continue;
+            if (queue.includes(name) || (current && current.file === name)) continue;
+
+            let stat;
+            try {
+                stat = fs.statSync(path.join(dirs.inbox, name));
+            } catch (error) {
+                continue;
+            }
+            if (!stat.isFile()) continue;
+            if (stuck.has(name) && stuck.get(name) === stat.mtimeMs) continue;
+            stuck.delete(name);
+            present.add(name);
+
+            // Queue the file once it has stopped growing for settleTime
+            const seen = settling.get(name);
+            if (!seen || seen.size !== stat.size || seen.mtimeMs !== stat.mtimeMs) {
+                settling.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, changedAt: now });
+            } else if (now - seen.changedAt >= settleTime) {
+                settling.delete(name);
+                queue.push(name);
+            }
+        }
+
+        for (const name of settling.keys()) {
+            if (!present.has(name)) settling.delete(name);
+        }
+
+        convertNext();
+    };
+
+    return {
+        start() {
+            if (timer) return;
+            for (const dir of Object.values(dirs)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            startedAt = new Date().toISOString();
+            timer = setInterval(scan, pollInterval);
+            scan();
+            log(`👀 Watching ${dirs.inbox} (output: ${dirs.outbox})`);
+        },
+
+        // Stop picking up files; a conversion in progress still finishes
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        getStatus() {
+            return {
+                running: !!timer,
+                startedAt,
+                ...dirs,
+                preset: Object.fromEntries(Object.entries(preset).filter(([name]) => !SECRET_PRESET_FIELDS.includes(name))),
+                settling: [...settling.keys()],
+                queued: [...queue],
+                current,
+                converted: counts.converted,
+                failed: counts.failed,
+                recent: history
+            };
+        }
+    };
+}
+
+module.exports = {
+    createWatcher
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Decryption of password-protected ZIP entries: the traditional PKWARE encryption ("ZipCrypto",
+// `zip -e`) and WinZip AES (AE-1 and AE-2, 128 to 256 bit, as written by 7-Zip, WinZip and WinRAR).
+// Entries are decrypted from their raw data, as read from the archive without decoding.
+
+// Compression method and extra field of WinZip AES entries
+const AES_METHOD = 99;
+const AES_EXTRA_FIELD = 0x9901;
+
+// Key lengths by the AES strength byte of the extra field; the salt is half as long
+const AES_KEY_LENGTHS = { 1: 16, 2: 24, 3: 32 };
+const AES_AUTH_CODE_LENGTH = 10;
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32Byte(crc, byte) {
+    return (crc >>> 8) ^ CRC_TABLE[(crc ^ byte) & 0xff];
+}
+
+function crc32(data) {
+    let crc = -1;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Byte(crc, data[i]);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function passwordBytes(password) {
+    return Buffer.from(password, 'utf8');
+}
+
+// Traditional PKWARE decryption. The 12-byte header ends in a check byte (the top byte of the CRC,
+// or of the modification time when the sizes follow the data); null when it doesn't match.
+function decryptZipCrypto(entry, data, password) {
+    const keys = [0x12345678, 0x23456789, 0x34567890];
+    const updateKeys = byte => {
+        keys[0] = crc32Byte(keys[0], byte);
+        keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) | 0;
+        keys[2] = crc32Byte(keys[2], keys[1] >>> 24);
+    };
+    for (const byte of passwordBytes(password)) {
+        updateKeys(byte);
+    }
+
+    const plain = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const temp = (keys[2] | 2) & 0xffff;
+        plain[i] = data[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+        updateKeys(plain[i]);
+    }
+
+    const check = entry.generalPurposeBitFlag & 0x8 ? (entry.lastModFileTime >>> 8) & 0xff : entry.crc32 >>> 24;
+    return plain[11] === check ? plain.subarray(12) : null;
+}
+
+// WinZip AES settings of an entry from its extra field: key length and the real compression method
+function aesSettings(entry) {
+    const field = entry.extraFields.find(extraField => extraField.id === AES_EXTRA_FIELD);
+    if (!field || field.data.length < 7 || !AES_KEY_LENGTHS[field.data[4]]) {
+        throw new Error('Unsupported AES encryption');
+    }
+    return {
+        version: field.data.readUInt16LE(0),
+        keyLength: AES_KEY_LENGTHS[field.data[4]],
+        compressionMethod: field.data.readUInt16LE(5)
+    };
+}
+
+// WinZip AES decryption: salt, a 2-byte password verifier, the data in AES-CTR mode (little-endian
+// counter from 1) and an HMAC-SHA1 authentication code. null when the verifier doesn't match.
+function decryptAes(entry, data, password, { keyLength }) {
+    const saltLength = keyLength / 2;
+    const salt = data.subarray(0, saltLength);
+    const verifier = data.subarray(saltLength, saltLength + 2);
+    const encrypted = data.subarray(saltLength + 2, data.length - AES_AUTH_CODE_LENGTH);
+    const authCode = data.subarray(data.length - AES_AUTH_CODE_LENGTH);
+
+    const keys = crypto.pbkdf2Sync(passwordBytes(password), salt, 1000, keyLength * 2 + 2, 'sha1');
+    if (!keys.subarray(keyLength * 2).equals(verifier)) {
+        return null;
+    }
+    const hmac = crypto.createHmac('sha1', keys.subarray(keyLength, keyLength * 2)).update(encrypted).digest();
+    if (!hmac.subarray(0, AES_AUTH_CODE_LENGTH).equals(authCode)) {
+        throw new Error(`Encrypted entry ${entry.fileName} is damaged`);
+    }
+
+    // The key stream is the counter blocks encrypted with the key
+    const blockCount = Math.ceil(encrypted.length / 16);
+    const counters = Buffer.alloc(blockCount * 16);
+    for (let i = 0; i < blockCount; i++) {
+        counters.writeUInt32LE(i + 1, i * 16);
+    }
+    const cipher = crypto.createCipheriv(`aes-${keyLength * 8}-ecb`, keys.subarray(0, keyLength), null).setAutoPadding(false);
+    const keyStream = Buffer.concat([cipher.update(counters), cipher.final()]);
+    const plain = Buffer.alloc(encrypted.length);
+    for (let i = 0; i < encrypted.length; i++) {
+        plain[i] = encrypted[i] ^ keyStream[i];
+    }
+    return plain;
+}
+
+// Decrypt and decompress an encrypted entry's raw data; null when the password is wrong
+function decryptZipEntry(entry, data, password) {
+    const aes = entry.compressionMethod === AES_METHOD ? aesSettings(entry) : null;
+    const compressed = aes ? decryptAes(entry, data, password, aes) : decryptZipCrypto(entry, data, password);
+    if (!compressed) {
+        return null;
+    }
+
+    const compressionMethod = aes ? aes.compressionMethod : entry.compressionMethod;
+    let plain;
+    if (compressionMethod === 0) {
+        plain = compressed;
+    } else if (compressionMethod === 8) {
+        try {
+            plain = zlib.inflateRawSync(compressed);
+        } catch (error) {
+            // The ZipCrypto check byte lets one wrong password in 256 through
+            if (!aes) return null;
+            throw error;
+        }
+    } else {
+        throw new Error(`Unsupported compression method ${compressionMethod}`);
+    }
+
+    // AE-2 entries have no CRC; their authentication code has been checked instead
+    const checkCrc = !aes || aes.version === 1;
+    if (checkCrc && crc32(plain) !== entry.crc32) {
+        if (!aes) return null;
+        throw new Error(`Encrypted entry ${entry.fileName} is damaged`);
+    }
+    return plain;
+}
+
+module.exports = {
+    decryptZipEntry
+};
@@ -2,11 +2,38 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { PDFDocument, rgb } = require('pdf-lib');
-const { createExtractorFromData } = require('node-unrar-js');
+const crypto = require('crypto');
+const { once } = require('events');
 const sharp = require('sharp');
-const AdmZip = require('adm-zip');
 const archiver = require('archiver');
+const {
+    parseMetadataOverrides,
+    buildPdfMetadata,
+    comicInfoFromPdf,
+    applyComicInfoOverrides,
+    buildComicInfoXml
+} = require('./lib/metadata');
+const { extractPdfImages } = require('./lib/pdf-images');
+const { createJob, getJob, cancelJob } = require('./lib/jobs');
+const { sizeThreadPool, mapOrdered } = require('./lib/pool');
+const { createWatcher } = require('./lib/watcher');
+const { PASSWORD_ERROR_CODES, COMIC_EXTENSIONS, COMIC_EXTENSION_PATTERN, detectImageFormat, openArchive } = require('./lib/archive');
+const { parseLayoutOptions, resolveReadingDirection, isSpread, getSpreadHalves, readImageMetadata } = require('./lib/render');
+const { parseDeviceOptions, renderForDevice } = require('./lib/devices');
+const { parseEnhanceOptions, hasEnhancements, deviceForEnhancements, applyEnhancements } = require('./lib/enhance');
+const {
+    CONCURRENCY,
+    OUTPUT_FORMATS,
+    limitImageWork,
+    parseOutputFormat,
+    titleFromFileName
+} = require('./lib/convert');
+const { convert, batch, combine } = require('./lib');
+const { reportHeader } = require('./lib/report');
+const { parseEncryptionOptions } = require('./lib/encrypt');
+const { parsePdfaOption } = require('./lib/pdfa');
+
+sizeThreadPool(CONCURRENCY);
 
 const app = express();
 const PORT = 3000;
@@ -15,301 +42,181 @@ app.use(express.static('public'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Upload size limit in MB (MAX_UPLOAD_MB); uploads go to disk, so this can far exceed available memory
+const MAX_UPLOAD_SIZE = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 4096) * 1024 * 1024;
+
+// Uploads are streamed into a per-request directory under temp/ (req.tempDir),
+// which the route removes once the request (or job) is finished
+const TEMP_ROOT = path.join(__dirname, 'temp');
+
+const uploadStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        if (!req.tempDir) {
+            fs.mkdirSync(TEMP_ROOT, { recursive: true });
+            req.tempDir = fs.mkdtempSync(path.join(TEMP_ROOT, `${Date.now()}-`));
+        }
+        cb(null, req.tempDir);
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+});
+
+// Remove a request's upload directory
+function removeTempDir(tempDir) {
+    if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Optional watch-folder daemon: converts archives dropped into WATCH_INBOX with the options
+// in WATCH_PRESET (a JSON object of /api/convert fields) and writes the results to WATCH_OUTBOX
+const watcher = process.env.WATCH_INBOX
+    ? createWatcher({
+        inbox: process.env.WATCH_INBOX,
+        outbox: process.env.WATCH_OUTBOX || undefined,
+        preset: process.env.WATCH_PRESET ? JSON.parse(process.env.WATCH_PRESET) : {},
+        settleTime: (parseFloat(process.env.WATCH_SETTLE_SECONDS) || 5) * 1000,
+        conversionLog: console.log
+    })
+    : null;
+
 // Configure multer for file uploads
 const upload = multer({
-    storage: multer.memoryStorage(),
+    storage: uploadStorage,
     limits: { 
-        fileSize: 500 * 1024 * 1024,
+        fileSize: MAX_UPLOAD_SIZE,
         fieldSize: 50 * 1024 * 1024  
     },
     fileFilter: (req, file, cb) => {
         const ext = path.extname(file.originalname).toLowerCase();
-        if (ext === '.cbr' || ext === '.cbz') {
+        if (COMIC_EXTENSIONS.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CBR and CBZ files are allowed'));
+            cb(new Error('Only CBR, CBZ, CB7 and CBT files are allowed'));
         }
     }
 });
 
-const A4_WIDTH = 595.28;
-const A4_HEIGHT = 841.89;
-
-// Check if buffer is a valid RAR archive
-function isValidRAR(buffer) {
-    if (!buffer || buffer.length < 7) return false;
-    // RAR magic bytes: 52 61 72 21 1A 07 00 (Rar!\x1A\x07\x00)
-    const rarSignature = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00]);
-    return buffer.subarray(0, 7).equals(rarSignature);
-}
-
-// 🔧 FIXED: Check if buffer is a valid ZIP archive
-function isValidZIP(buffer) {
-    if (!buffer || buffer.length < 4) return false;
-    // ZIP magic bytes: 50 4B 03 04 (PK\x03\x04)
-    return buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04;
-}
-
-async function extractImagesFromRAR(fileBuffer) {
-    try {
-        const extractor = await createExtractorFromData({
-            data: fileBuffer
-        });
-        
-        const list = extractor.getFileList();
-        const imageFiles = [];
-        
-        for (const fileHeader of list.fileHeaders) {
-            if (/\.(jpg|jpeg|png|gif|webp)$/i.test(fileHeader.name)) {
-                imageFiles.push(fileHeader.name);
-            }
+// Configure multer for PDF uploads (reverse conversion)
+const pdfUpload = multer({
+    storage: uploadStorage,
+    limits: { 
+        fileSize: MAX_UPLOAD_SIZE,
+        fieldSize: 50 * 1024 * 1024  
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PDF files are allowed'));
         }
-        
-        return { imageFiles, extractor };
-    } catch (error) {
-        throw new Error(`Failed to extract RAR archive: ${error.message}`);
     }
-}
+});
 
-async function extractImagesFromZIP(fileBuffer) {
-    try {
-        const zip = new AdmZip(fileBuffer);
-        const zipEntries = zip.getEntries();
-        
-        const imageFiles = [];
-        const imageData = {};
-        
-        for (const entry of zipEntries) {
-            if (!entry.isDirectory && /\.(jpg|jpeg|png|gif|webp)$/i.test(entry.name)) {
-                imageFiles.push(entry.name);
-                imageData[entry.name] = entry.getData();
-            }
-        }
-        
-        return { imageFiles, imageData };
-    } catch (error) {
-        throw new Error(`Failed to extract ZIP archive: ${error.message}`);
-    }
-}
+// Image formats a re-pack can re-encode to ('original' copies the archive bytes)
+const REPACK_FORMATS = ['original', 'jpeg', 'png', 'webp'];
 
-function naturalSort(a, b) {
-    const fileA = a.split(/[\\\/]/).pop().toLowerCase();
-    const fileB = b.split(/[\\\/]/).pop().toLowerCase();
-    
-    const aaParts = fileA.match(/(\d+|\D+)/g) || [];
-    const bParts = fileB.match(/(\d+|\D+)/g) || [];
-    
-    for (let i = 0; i < Math.max(aaParts.length, bParts.length); i++) {
-        const partA = aaParts[i] || '';
-        const partB = bParts[i] || '';
-        
-        if (/^\d+$/.test(partA) && /^\d+$/.test(partB)) {
-            const numA = parseInt(partA, 10);
-            const numB = parseInt(partB, 10);
-            if (numA !== numB) return numA - numB;
-        } else {
-            if (partA !== partB) return partA.localeCompare(partB);
-        }
+function parseRepackFormat(body = {}) {
+    const imageFormat = (body.imageFormat || 'original').toLowerCase();
+    if (!REPACK_FORMATS.includes(imageFormat)) {
+        throw new Error(`imageFormat must be one of ${REPACK_FORMATS.join(', ')}`);
     }
-    return 0;
+    return imageFormat;
 }
 
-// Auto-detect archive type by magic bytes, fallback to extension
-async function extractImagesFromArchive(fileBuffer, fileName) {
-    let imageFiles, extractor, imageData;
-    const ext = path.extname(fileName).toLowerCase();
-    
-    //Try to detect by magic bytes first
-    const isRAR = isValidRAR(fileBuffer);
-    const isZIP = isValidZIP(fileBuffer);
-    
-    // Determine which extractor to use
-    let useRAR = false;
-    let useZIP = false;
-    
-    if (isRAR) {
-        useRAR = true;
-    } else if (isZIP) {
-        useZIP = true;
-    } else if (ext === '.cbr') {
-        useRAR = true;
-    } else if (ext === '.cbz') {
-        useZIP = true;
-    } else {
-        throw new Error('Cannot determine archive type. File may be corrupted.');
+// Re-encode one page image, enhanced and processed for a device profile when those are given; returns
+// the new data and file extension. 'original' keeps PNGs and dithered device pages lossless as PNG
+// and makes the rest JPEG.
+async function reencodeImage(imageBuffer, imageFormat, quality, { device = null, enhance = null } = {}) {
+    // Fails with the image format's name when sharp can't decode it
+    const metadata = await readImageMetadata(imageBuffer);
+    let image = await applyEnhancements(sharp(imageBuffer), enhance, metadata);
+    let lossless = metadata.format === 'png';
+    device = deviceForEnhancements(device, enhance);
+    if (device) {
+        const page = await renderForDevice(image, device);
+        image = page.image;
+        lossless = page.dithered;
     }
-    
-    try {
-        if (useRAR) {
-            console.log('📦 Detected RAR archive format');
-            const result = await extractImagesFromRAR(fileBuffer);
-            imageFiles = result.imageFiles;
-            extractor = result.extractor;
-        } else if (useZIP) {
-            console.log('📦 Detected ZIP archive format');
-            const result = await extractImagesFromZIP(fileBuffer);
-            imageFiles = result.imageFiles;
-            imageData = result.imageData;
-        } else {
-            throw new Error('Unsupported archive format');
-        }
-    } catch (error) {
-        console.error('Archive extraction error:', error.message);
-        
-        // If detection failed, try the alternative format
-        if (useRAR && !isRAR) {
-            console.log('⚠️  RAR detection failed, trying ZIP...');
-            try {
-                const result = await extractImagesFromZIP(fileBuffer);
-                imageFiles = result.imageFiles;
-                imageData = result.imageData;
-                useRAR = false;
-                useZIP = true;
-            } catch (zipError) {
-                throw new Error(`Failed to extract archive: ${error.message}`);
-            }
-        } else if (useZIP && !isZIP) {
-            console.log('⚠️  ZIP detection failed, trying RAR...');
-            try {
-                const result = await extractImagesFromRAR(fileBuffer);
-                imageFiles = result.imageFiles;
-                extractor = result.extractor;
-                useZIP = false;
-                useRAR = true;
-            } catch (rarError) {
-                throw new Error(`Failed to extract archive: ${error.message}`);
-            }
-        } else {
-            throw error;
-        }
+    if (imageFormat === 'original') {
+        imageFormat = lossless ? 'png' : 'jpeg';
     }
-    
-    // Sort images
-    imageFiles.sort(naturalSort);
-    
-    if (imageFiles.length === 0) {
-        throw new Error('No images found in archive file');
+    if (imageFormat === 'jpeg') {
+        return { data: await image.flatten({ background: '#ffffff' }).jpeg({ quality }).toBuffer(), ext: 'jpg' };
     }
-    
-    console.log(`✅ Found ${imageFiles.length} images`);
-    return { imageFiles, extractor, imageData };
+    if (imageFormat === 'png') {
+        return { data: await image.png().toBuffer(), ext: 'png' };
+    }
+    return { data: await image.webp({ quality }).toBuffer(), ext: 'webp' };
 }
 
-async function createPDFFromImages(imageFiles, extractor, imageData, bgColor, quality, requiredImageFiles) {
-    const extractedImages = [];
+// Stream a CBZ of { name, data } pages (an array or async iterable, in reading order) plus a generated
+// ComicInfo.xml; resolves to the number of pages. Each page is written out before the next one is
+// taken, so only one is held at a time. Existing <Pages> entries are kept by image index and given the
+// final image sizes.
+async function sendCBZ(res, fileName, pages, comicInfo) {
+    // Page images are already compressed, so store them as-is
+    const archive = archiver('zip', { store: true });
+    res.setHeader('Content-Type', 'application/vnd.comicbook+zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    archive.pipe(res);
     
-    if (extractor) {
-        const extracted = extractor.extract({
-            files: requiredImageFiles
+    const sourcePages = comicInfo.Pages || [];
+    const pageEntries = [];
+    for await (const page of pages) {
+        const i = pageEntries.length;
+        // Images sharp can't read are stored without their size
+        const metadata = await sharp(page.data).metadata().catch(() => ({}));
+        const source = sourcePages.find(sourcePage => parseInt(sourcePage.Image, 10) === i) || {};
+        pageEntries.push({
+            ...source,
+            Image: i,
+            ImageSize: page.data.length,
+            ImageWidth: metadata.width,
+            ImageHeight: metadata.height
         });
         
-        const extractedMap = {};
-        for (const file of extracted.files) {
-            if (file.extraction) {
-                const fullPath = file.fileHeader.name;
-                extractedMap[fullPath] = {
-                    name: fullPath,
-                    data: Buffer.from(file.extraction)
-                };
-            }
-        }
-        
-        for (const imagePath of requiredImageFiles) {
-            if (extractedMap[imagePath]) {
-                console.log(`${extractedImages.length + 1}. ${imagePath}`);
-                extractedImages.push(extractedMap[imagePath]);
-            }
-        }
-    } else if (imageData) {
-        for (const imagePath of requiredImageFiles) {
-            if (imageData[imagePath]) {
-                console.log(`${extractedImages.length + 1}. ${imagePath}`);
-                extractedImages.push({
-                    name: imagePath,
-                    data: imageData[imagePath]
-                });
-            }
-        }
+        const written = once(archive, 'entry');
+        archive.append(page.data, { name: page.name });
+        await written;
     }
     
-    console.log(`✅ Total images extracted: ${extractedImages.length}\n`);
+    const comicInfoXml = buildComicInfoXml({ ...comicInfo, PageCount: pageEntries.length, Pages: pageEntries });
+    archive.append(Buffer.from(comicInfoXml, 'utf8'), { name: 'ComicInfo.xml' });
     
-    const pdfDoc = await PDFDocument.create();
-    
-    for (const imageFile of extractedImages) {
-        try {
-            let imageDataBuffer = imageFile.data;
-            const ext = path.extname(imageFile.name).toLowerCase();
-            
-            if (ext === '.png') {
-                imageDataBuffer = await sharp(imageDataBuffer)
-                    .png({ compressionLevel: Math.floor(quality / 20) })
-                    .toBuffer();
-            } else {
-                imageDataBuffer = await sharp(imageDataBuffer)
-                    .jpeg({ quality: quality, progressive: true })
-                    .toBuffer();
-            }
-            
-            const metadata = await sharp(imageDataBuffer).metadata();
-            const imgWidth = metadata.width;
-            const imgHeight = metadata.height;
-            
-            const margin = 0;
-            const availableWidth = A4_WIDTH - (2 * margin);
-            const availableHeight = A4_HEIGHT - (2 * margin);
-            
-            let finalWidth = availableWidth;
-            let finalHeight = (imgWidth > 0) ? (availableWidth * imgHeight) / imgWidth : availableHeight;
-            
-            if (finalHeight > availableHeight) {
-                finalHeight = availableHeight;
-                finalWidth = (imgHeight > 0) ? (availableHeight * imgWidth) / imgHeight : availableWidth;
-            }
-            
-            const page = pdfDoc.addPage([A4_WIDTH, A4_HEIGHT]);
-            
-            if (bgColor === 'black') {
-                page.drawRectangle({
-                    x: 0,
-                    y: 0,
-                    width: A4_WIDTH,
-                    height: A4_HEIGHT,
-                    color: rgb(0, 0, 0)
-                });
-            } else {
-                page.drawRectangle({
-                    x: 0,
-                    y: 0,
-                    width: A4_WIDTH,
-                    height: A4_HEIGHT,
-                    color: rgb(1, 1, 1)
-                });
-            }
-            
-            let image;
-            if (ext === '.png') {
-                image = await pdfDoc.embedPng(imageDataBuffer);
-            } else {
-                image = await pdfDoc.embedJpg(imageDataBuffer);
-            }
-            
-            const xPos = (A4_WIDTH - finalWidth) / 2;
-            const yPos = (A4_HEIGHT - finalHeight) / 2;
-            
-            page.drawImage(image, {
-                x: xPos,
-                y: yPos,
-                width: finalWidth,
-                height: finalHeight
-            });
-            
-        } catch (err) {
-            console.error(`Error processing image ${imageFile.name}:`, err.message);
-        }
+    await archive.finalize();
+    return pageEntries.length;
+}
+
+// Library input for an uploaded file, with the pages picked in the editor if any
+function uploadedInput(file, pages) {
+    return { path: file.path, name: file.originalname, pages };
+}
+
+// Send a conversion result; its report goes in the X-Conversion-Report header
+function sendResult(res, { data, fileName, contentType, report }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', data.length);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (report) {
+        res.setHeader('X-Conversion-Report', reportHeader(report));
     }
-    
-    return await pdfDoc.save();
+    res.send(data);
+}
+
+// Send a failed request's error, with the conversion report so far if there is one. Archives that
+// need a password (or another one) get 401 and the error's code, so clients can ask for it and retry.
+function sendError(res, error, fallbackMessage) {
+    // A download that fails once it has started streaming can only be cut off
+    if (res.headersSent) {
+        return res.destroy(error);
+    }
+    const body = { error: error.message || fallbackMessage, report: error.report };
+    if (PASSWORD_ERROR_CODES.includes(error.code)) {
+        return res.status(401).json({ ...body, code: error.code });
+    }
+    res.status(500).json(body);
 }
 
 // Endpoint to get page count
@@ -319,314 +226,252 @@ app.post('/api/get-page-count', upload.single('file'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        const { imageFiles } = await extractImagesFromArchive(req.file.buffer, req.file.originalname);
-        res.json({ totalPages: imageFiles.length });
+        const archive = await openArchive(req.file.path, req.file.originalname, req.body.password, console.log);
+        archive.close();
+        res.json({ totalPages: archive.imageFiles.length });
         
     } catch (error) {
         console.error('Error getting page count:', error);
-        res.status(500).json({ error: error.message || 'Failed to get page count' });
+        sendError(res, error, 'Failed to get page count');
+    } finally {
+        removeTempDir(req.tempDir);
     }
 });
 
-// Single file conversion endpoint
-app.post('/api/convert', upload.single('file'), async (req, res) => {
-    let tempDir;
+// Endpoint to read ComicInfo.xml metadata
+app.post('/api/metadata', upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        const bgColor = req.body.bgColor || 'white';
-        const quality = parseInt(req.body.quality) || 75;
-        let pageStart = parseInt(req.body.pageStart) || 1;
-        let pageEnd = parseInt(req.body.pageEnd) || undefined;
-        
-        tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
+        const { imageFiles, comicInfo, close } = await openArchive(req.file.path, req.file.originalname, req.body.password, console.log);
+        close();
+        const pdfMetadata = buildPdfMetadata(comicInfo, {
+            fallbackTitle: titleFromFileName(req.file.originalname),
+            overrides: parseMetadataOverrides(req.body)
+        });
         
-        const { imageFiles, extractor, imageData } = await extractImagesFromArchive(req.file.buffer, req.file.originalname);
+        res.json({
+            hasComicInfo: !!comicInfo,
+            comicInfo: comicInfo || {},
+            pdfMetadata,
+            totalPages: imageFiles.length
+        });
         
-        if (!pageEnd || pageEnd > imageFiles.length) {
-            pageEnd = imageFiles.length;
+    } catch (error) {
+        console.error('Error reading metadata:', error);
+        sendError(res, error, 'Failed to read metadata');
+    } finally {
+        removeTempDir(req.tempDir);
+    }
+});
+
+// Single file conversion endpoint
+app.post('/api/convert', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        pageStart = Math.max(1, Math.min(pageStart, imageFiles.length));
-        pageEnd = Math.max(pageStart, Math.min(pageEnd, imageFiles.length));
-        
-        const requiredImageFiles = imageFiles.slice(pageStart - 1, pageEnd);
-        
-        console.log(`📄 Converting pages ${pageStart} to ${pageEnd} (Total: ${requiredImageFiles.length} pages)`);
-        
-        const pdfBytes = await createPDFFromImages(imageFiles, extractor, imageData, bgColor, quality, requiredImageFiles);
-        
-        const fileName = req.file.originalname.replace(/\.(cbr|cbz)$/i, '.pdf');
-        
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Length', pdfBytes.length);
-        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-        res.send(Buffer.from(pdfBytes));
-        
-        console.log(`✅ Conversion completed: ${fileName}\n`);
+        sendResult(res, await convert(uploadedInput(req.file), { ...req.body, log: console.log }));
         
     } catch (error) {
         console.error('Conversion error:', error);
-        res.status(500).json({ error: error.message || 'Conversion failed' });
+        sendError(res, error, 'Conversion failed');
     } finally {
-        if (tempDir && fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
+        removeTempDir(req.tempDir);
     }
 });
 
 // Batch file conversion endpoint
 app.post('/api/batch-convert', upload.array('files', 20), async (req, res) => {
-    let tempDir;
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
         }
         
-        const bgColor = req.body.bgColor || 'white';
-        const quality = parseInt(req.body.quality) || 75;
-        
-        tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
-        
-        console.log(`\n📦 Starting batch conversion of ${req.files.length} files...`);
-        
-        const pdfBuffers = [];
-        
-        for (let i = 0; i < req.files.length; i++) {
-            const file = req.files[i];
-            try {
-                console.log(`[${i + 1}/${req.files.length}] Processing: ${file.originalname}`);
-                
-                const { imageFiles, extractor, imageData } = await extractImagesFromArchive(file.buffer, file.originalname);
-                const requiredImageFiles = imageFiles.slice(0, imageFiles.length);
-                
-                const pdfBytes = await createPDFFromImages(imageFiles, extractor, imageData, bgColor, quality, requiredImageFiles);
-                const pdfFileName = file.originalname.replace(/\.(cbr|cbz)$/i, '.pdf');
-                
-                pdfBuffers.push({
-                    name: pdfFileName,
-                    data: Buffer.from(pdfBytes)
-                });
-                
-                console.log(`✅ ${pdfFileName} created`);
-                
-            } catch (error) {
-                console.error(`❌ Error converting ${file.originalname}:`, error.message);
-            }
-        }
-        
-        if (pdfBuffers.length === 0) {
-            return res.status(500).json({ error: 'No files could be converted' });
-        }
-        
-        if (pdfBuffers.length === 1) {
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Length', pdfBuffers[0].data.length);
-            res.setHeader('Content-Disposition', `attachment; filename="${pdfBuffers[0].name}"`);
-            res.send(pdfBuffers[0].data);
-        } else {
-            const archive = archiver('zip', { zlib: { level: 9 } });
-            res.setHeader('Content-Type', 'application/zip');
-            res.setHeader('Content-Disposition', 'attachment; filename="converted-pdfs.zip"');
-            archive.pipe(res);
-            
-            for (const pdf of pdfBuffers) {
-                archive.append(pdf.data, { name: pdf.name });
-            }
-            
-            await archive.finalize();
-            console.log(`\n📦 Batch conversion completed! ${pdfBuffers.length} PDFs packed in ZIP\n`);
-        }
+        sendResult(res, await batch(req.files.map(file => uploadedInput(file)), { ...req.body, log: console.log }));
         
     } catch (error) {
         console.error('Batch conversion error:', error);
-        res.status(500).json({ error: error.message || 'Batch conversion failed' });
+        sendError(res, error, 'Batch conversion failed');
     } finally {
-        if (tempDir && fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
+        removeTempDir(req.tempDir);
     }
 });
 
 // Combination file conversion endpoint (merge all into one PDF)
 app.post('/api/combine-convert', upload.array('files', 20), async (req, res) => {
-    let tempDir;
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
         }
         
-        const bgColor = req.body.bgColor || 'white';
-        const quality = parseInt(req.body.quality) || 75;
+        sendResult(res, await combine(req.files.map(file => uploadedInput(file)), { ...req.body, log: console.log }));
         
-        tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+    } catch (error) {
+        console.error('Combination conversion error:', error);
+        sendError(res, error, 'Combination conversion failed');
+    } finally {
+        removeTempDir(req.tempDir);
+    }
+});
+
+// Conversion modes accepted by the jobs endpoint
+const JOB_MODES = {
+    single: (inputs, options) => convert(inputs[0], options),
+    batch,
+    combine
+};
+
+// Start an asynchronous conversion job; takes the inputs of /api/convert, /api/batch-convert
+// or /api/combine-convert (picked by `mode`), with or without editor selections, and returns
+// the job id right away
+app.post('/api/jobs', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: 20 }]), (req, res) => {
+    let job = null;
+    try {
+        const mode = req.body.mode || 'single';
+        if (!JOB_MODES[mode]) {
+            return res.status(400).json({ error: `mode must be one of ${Object.keys(JOB_MODES).join(', ')}` });
         }
         
-        console.log(`\n🔗 Starting combination of ${req.files.length} files into one PDF...`);
-        
-        const pdfDoc = await PDFDocument.create();
-        
-        for (let i = 0; i < req.files.length; i++) {
-            const file = req.files[i];
-            try {
-                console.log(`[${i + 1}/${req.files.length}] Processing: ${file.originalname}`);
-                
-                const { imageFiles, extractor, imageData } = await extractImagesFromArchive(file.buffer, file.originalname);
-                
-                console.log(`  📄 Extracting ${imageFiles.length} pages from ${file.originalname}...`);
-                
-                const extractedImages = [];
-                
-                if (extractor) {
-                    const extracted = extractor.extract({
-                        files: imageFiles
-                    });
-                    
-                    const extractedMap = {};
-                    for (const extractedFile of extracted.files) {
-                        if (extractedFile.extraction) {
-                            const fullPath = extractedFile.fileHeader.name;
-                            extractedMap[fullPath] = {
-                                name: fullPath,
-                                data: Buffer.from(extractedFile.extraction)
-                            };
-                        }
-                    }
-                    
-                    for (const imagePath of imageFiles) {
-                        if (extractedMap[imagePath]) {
-                            extractedImages.push(extractedMap[imagePath]);
-                        }
-                    }
-                } else if (imageData) {
-                    for (const imagePath of imageFiles) {
-                        if (imageData[imagePath]) {
-                            extractedImages.push({
-                                name: imagePath,
-                                data: imageData[imagePath]
-                            });
-                        }
-                    }
-                }
-                
-                // Add each image as a page to the combined PDF
-                for (const imageFile of extractedImages) {
-                    try {
-                        let imageDataBuffer = imageFile.data;
-                        const ext = path.extname(imageFile.name).toLowerCase();
-                        
-                        if (ext === '.png') {
-                            imageDataBuffer = await sharp(imageDataBuffer)
-                                .png({ compressionLevel: Math.floor(quality / 20) })
-                                .toBuffer();
-                        } else {
-                            imageDataBuffer = await sharp(imageDataBuffer)
-                                .jpeg({ quality: quality, progressive: true })
-                                .toBuffer();
-                        }
-                        
-                        const metadata = await sharp(imageDataBuffer).metadata();
-                        const imgWidth = metadata.width;
-                        const imgHeight = metadata.height;
-                        
-                        const margin = 0;
-                        const availableWidth = A4_WIDTH - (2 * margin);
-                        const availableHeight = A4_HEIGHT - (2 * margin);
-                        
-                        let finalWidth = availableWidth;
-                        let finalHeight = (imgWidth > 0) ? (availableWidth * imgHeight) / imgWidth : availableHeight;
-                        
-                        if (finalHeight > availableHeight) {
-                            finalHeight = availableHeight;
-                            finalWidth = (imgHeight > 0) ? (availableHeight * imgWidth) / imgHeight : availableWidth;
-                        }
-                        
-                        const page = pdfDoc.addPage([A4_WIDTH, A4_HEIGHT]);
-                        
-                        if (bgColor === 'black') {
-                            page.drawRectangle({
-                                x: 0,
-                                y: 0,
-                                width: A4_WIDTH,
-                                height: A4_HEIGHT,
-                                color: rgb(0, 0, 0)
-                            });
-                        } else {
-                            page.drawRectangle({
-                                x: 0,
-                                y: 0,
-                                width: A4_WIDTH,
-                                height: A4_HEIGHT,
-                                color: rgb(1, 1, 1)
-                            });
-                        }
-                        
-                        let image;
-                        if (ext === '.png') {
-                            image = await pdfDoc.embedPng(imageDataBuffer);
-                        } else {
-                            image = await pdfDoc.embedJpg(imageDataBuffer);
-                        }
-                        
-                        const xPos = (A4_WIDTH - finalWidth) / 2;
-                        const yPos = (A4_HEIGHT - finalHeight) / 2;
-                        
-                        page.drawImage(image, {
-                            x: xPos,
-                            y: yPos,
-                            width: finalWidth,
-                            height: finalHeight
-                        });
-                        
-                    } catch (err) {
-                        console.error(`  ❌ Error processing image ${imageFile.name}:`, err.message);
-                    }
-                }
-                
-                console.log(`  ✅ Added ${extractedImages.length} pages from ${file.originalname}`);
-                
-            } catch (error) {
-                console.error(`❌ Error processing ${file.originalname}:`, error.message);
-            }
+        const uploaded = req.files || {};
+        const files = [...(uploaded.file || []), ...(uploaded.files || [])];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
         }
         
-        const pdfBytes = await pdfDoc.save();
-        
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Length', pdfBytes.length);
-        res.setHeader('Content-Disposition', 'attachment; filename="combined-comic.pdf"');
-        res.send(Buffer.from(pdfBytes));
-        
-        console.log(`\n✅ Combination completed! All files merged into one PDF\n`);
+        // Validate options up front so bad input fails the request (400), not the job. Editor
+        // selections are taken as for /api/convert-with-editor (editorData) and
+        // /api/combine-convert-with-editor (combinationEditorData, by file name).
+        let editorData, combinationEditorData;
+        try {
+            parseLayoutOptions(req.body);
+            parseMetadataOverrides(req.body);
+            parseOutputFormat(req.body);
+            parseEncryptionOptions(req.body);
+            parsePdfaOption(req.body);
+            editorData = req.body.editorData ? JSON.parse(req.body.editorData) : null;
+            combinationEditorData = req.body.combinationEditorData
+                ? JSON.parse(req.body.combinationEditorData)
+                : {};
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        // The job owns the upload directory from here and removes it when it finishes
+        const { tempDir } = req;
+        const inputs = files.map(file => uploadedInput(file, editorData || combinationEditorData[file.originalname]));
+        job = createJob(({ onProgress, signal }) => JOB_MODES[mode](inputs, { ...req.body, signal, log: console.log })
+            .on('progress', onProgress)
+            .finally(() => removeTempDir(tempDir)));
+        console.log(`\n🧵 Started ${mode} job ${job.id} for ${files.length} file(s)`);
+        
+        res.status(202).json({ id: job.id, status: job.status });
         
     } catch (error) {
-        console.error('Combination conversion error:', error);
-        res.status(500).json({ error: error.message || 'Combination conversion failed' });
+        console.error('Job creation error:', error);
+        sendError(res, error, 'Failed to start job');
     } finally {
-        if (tempDir && fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
+        if (!job) {
+            removeTempDir(req.tempDir);
         }
     }
 });
 
-// Get pages preview for editor
+// Stream job progress as Server-Sent Events until the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    // Late subscribers first get the current state
+    send('status', { status: job.status, percent: job.percent, lastEvent: job.lastEvent });
+    
+    if (job.status === 'done') {
+        send('done', { percent: 100, fileName: job.result.fileName, report: job.report });
+        return res.end();
+    }
+    if (job.status === 'error') {
+        send('failed', { error: job.error, code: job.errorCode, report: job.report });
+        return res.end();
+    }
+    if (job.status === 'cancelled') {
+        send('cancelled', {});
+        return res.end();
+    }
+    
+    const onEvent = (event, data) => {
+        send(event, data);
+        if (event !== 'progress') {
+            res.end();
+        }
+    };
+    job.emitter.on('event', onEvent);
+    res.on('close', () => job.emitter.off('event', onEvent));
+});
+
+// Download the output of a finished job
+app.get('/api/jobs/:id/result', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status === 'error') {
+        return sendError(res, { message: job.error, code: job.errorCode, report: job.report });
+    }
+    if (job.status !== 'done') {
+        return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+    
+    sendResult(res, job.result);
+});
+
+// Cancel a running job, or discard a finished job's output
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    console.log(`🛑 ${job.status === 'running' ? 'Cancelling' : 'Discarding'} job ${job.id}`);
+    res.json({ id: job.id, status: job.status === 'running' ? 'cancelling' : 'deleted' });
+});
+
+// Status of the watch-folder daemon
+app.get('/api/watch', (req, res) => {
+    if (!watcher) {
+        return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, ...watcher.getStatus() });
+});
+
+// Get pages preview for editor. With enhancedPreview=true and enhancement options set, every page
+// also gets an enhancedImageData thumbnail showing the page after enhancement.
 app.post('/api/get-pages-preview', upload.single('file'), async (req, res) => {
+    let archive;
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        const { imageFiles, extractor, imageData } = await extractImagesFromArchive(req.file.buffer, req.file.originalname);
+        archive = await openArchive(req.file.path, req.file.originalname, req.body.password, console.log);
+        const { imageFiles, comicInfo } = archive;
+        const layout = resolveReadingDirection(parseLayoutOptions(req.body), comicInfo);
+        const enhancedPreview = (req.body.enhancedPreview === true || req.body.enhancedPreview === 'true') &&
+            hasEnhancements(layout.enhance);
+        const background = req.body.bgColor === 'black' ? '#000000' : '#ffffff';
         
         const pages = [];
         
@@ -636,43 +481,64 @@ app.post('/api/get-pages-preview', upload.single('file'), async (req, res) => {
         
         console.log(`🎨 Generating previews for ${previewLimit} pages...`);
         
-        if (extractor) {
-            const extracted = extractor.extract({
-                files: requiredImageFiles
-            });
+        // Thumbnails for several pages are made at once, then collected in page order. Pages are
+        // read inside the image pool too, so only the pages being worked on are held in memory.
+        const previewPage = (imagePath, index) => limitImageWork(async () => {
+            let buffer;
+            try {
+                buffer = await archive.readImage(imagePath);
+            } catch (err) {
+                return [];
+            }
             
-            const extractedMap = {};
-            for (const file of extracted.files) {
-                if (file.extraction) {
-                    extractedMap[file.fileHeader.name] = Buffer.from(file.extraction);
-                }
+            let metadata;
+            try {
+                metadata = await readImageMetadata(buffer);
+            } catch (err) {
+                // Pages that can't be decoded get no preview, like unreadable ones
+                return [];
             }
             
-            for (const imagePath of requiredImageFiles) {
-                if (extractedMap[imagePath]) {
-                    const thumbnail = await sharp(extractedMap[imagePath])
-                        .resize(300, null, { fit: 'inside' })
-                        .jpeg({ quality: 60 })
-                        .toBuffer();
-                    
-                    pages.push({
-                        imageData: `data:image/jpeg;base64,${thumbnail.toString('base64')}`
-                    });
+            // Show split spreads as two separate pages, in reading order
+            const regions = (layout.spreadMode === 'split' && isSpread(metadata))
+                ? getSpreadHalves(metadata.width, metadata.height, layout.readingDirection)
+                : [null];
+            
+            const thumbnailData = async image => {
+                const thumbnail = await image
+                    .resize(300, null, { fit: 'inside' })
+                    .flatten({ background })
+                    .jpeg({ quality: 60 })
+                    .toBuffer();
+                return `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+            };
+            
+            const previews = [];
+            for (const region of regions) {
+                let pipeline = sharp(buffer);
+                if (region) {
+                    pipeline = pipeline.extract({ left: region.left, top: region.top, width: region.width, height: region.height });
                 }
-            }
-        } else if (imageData) {
-            for (const imagePath of requiredImageFiles) {
-                if (imageData[imagePath]) {
-                    const thumbnail = await sharp(imageData[imagePath])
-                        .resize(300, null, { fit: 'inside' })
-                        .jpeg({ quality: 60 })
-                        .toBuffer();
-                    
-                    pages.push({
-                        imageData: `data:image/jpeg;base64,${thumbnail.toString('base64')}`
-                    });
+                
+                const page = {
+                    index,
+                    spread: isSpread(metadata),
+                    imageData: await thumbnailData(pipeline.clone())
+                };
+                if (region) {
+                    page.half = region.half;
+                }
+                if (enhancedPreview) {
+                    page.enhancedImageData = await thumbnailData(await applyEnhancements(pipeline, layout.enhance, metadata));
                 }
+                previews.push(page);
             }
+            return previews;
+        });
+        
+        for await (const { value, error } of mapOrdered(requiredImageFiles, CONCURRENCY, previewPage)) {
+            if (error) throw error;
+            pages.push(...value);
         }
         
         console.log(`✅ Generated ${pages.length} previews`);
@@ -680,176 +546,34 @@ app.post('/api/get-pages-preview', upload.single('file'), async (req, res) => {
         
     } catch (error) {
         console.error('Error getting pages preview:', error);
-        res.status(500).json({ error: error.message || 'Failed to get pages preview' });
+        sendError(res, error, 'Failed to get pages preview');
+    } finally {
+        if (archive) archive.close();
+        removeTempDir(req.tempDir);
     }
 });
 
 // Convert with editor settings (single mode)
 app.post('/api/convert-with-editor', upload.single('file'), async (req, res) => {
-    let tempDir;
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
         
         const editorData = JSON.parse(req.body.editorData);
-        const quality = 75; // Default quality
-        
-        tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
-        
-        const { imageFiles, extractor, imageData } = await extractImagesFromArchive(req.file.buffer, req.file.originalname);
-        
-        // Get only included pages
-        const includedPages = editorData.filter(page => page.included);
-        const requiredImageFiles = includedPages.map(page => imageFiles[page.index]);
-        
-        console.log(`\n📝 Converting ${includedPages.length} selected pages from ${imageFiles.length} total pages`);
         
-        const extractedImages = [];
-        
-        if (extractor) {
-            const extracted = extractor.extract({
-                files: requiredImageFiles
-            });
-            
-            const extractedMap = {};
-            for (const file of extracted.files) {
-                if (file.extraction) {
-                    extractedMap[file.fileHeader.name] = {
-                        data: Buffer.from(file.extraction)
-                    };
-                }
-            }
-            
-            for (const imagePath of requiredImageFiles) {
-                if (extractedMap[imagePath]) {
-                    extractedImages.push(extractedMap[imagePath]);
-                }
-            }
-        } else if (imageData) {
-            for (const imagePath of requiredImageFiles) {
-                if (imageData[imagePath]) {
-                    extractedImages.push({
-                        data: imageData[imagePath]
-                    });
-                }
-            }
-        }
-        
-        // Create PDF with custom settings per page
-        const pdfDoc = await PDFDocument.create();
-        
-        for (let i = 0; i < extractedImages.length; i++) {
-            const imageFile = extractedImages[i];
-            const pageSettings = includedPages[i];
-            
-            try {
-                let imageDataBuffer = imageFile.data;
-                
-                // Determine if PNG or JPG based on buffer
-                let isPng = false;
-                if (imageDataBuffer[0] === 0x89 && imageDataBuffer[1] === 0x50) {
-                    isPng = true;
-                }
-                
-                if (isPng) {
-                    imageDataBuffer = await sharp(imageDataBuffer)
-                        .png({ compressionLevel: Math.floor(quality / 20) })
-                        .toBuffer();
-                } else {
-                    imageDataBuffer = await sharp(imageDataBuffer)
-                        .jpeg({ quality: quality, progressive: true })
-                        .toBuffer();
-                }
-                
-                const metadata = await sharp(imageDataBuffer).metadata();
-                const imgWidth = metadata.width;
-                const imgHeight = metadata.height;
-                
-                const margin = 0;
-                const availableWidth = A4_WIDTH - (2 * margin);
-                const availableHeight = A4_HEIGHT - (2 * margin);
-                
-                let finalWidth = availableWidth;
-                let finalHeight = (imgWidth > 0) ? (availableWidth * imgHeight) / imgWidth : availableHeight;
-                
-                if (finalHeight > availableHeight) {
-                    finalHeight = availableHeight;
-                    finalWidth = (imgHeight > 0) ? (availableHeight * imgWidth) / imgHeight : availableWidth;
-                }
-                
-                const page = pdfDoc.addPage([A4_WIDTH, A4_HEIGHT]);
-                
-                // Use custom background color per page
-                if (pageSettings.bgColor === 'black') {
-                    page.drawRectangle({
-                        x: 0,
-                        y: 0,
-                        width: A4_WIDTH,
-                        height: A4_HEIGHT,
-                        color: rgb(0, 0, 0)
-                    });
-                } else {
-                    page.drawRectangle({
-                        x: 0,
-                        y: 0,
-                        width: A4_WIDTH,
-                        height: A4_HEIGHT,
-                        color: rgb(1, 1, 1)
-                    });
-                }
-                
-                let image;
-                if (isPng) {
-                    image = await pdfDoc.embedPng(imageDataBuffer);
-                } else {
-                    image = await pdfDoc.embedJpg(imageDataBuffer);
-                }
-                
-                const xPos = (A4_WIDTH - finalWidth) / 2;
-                const yPos = (A4_HEIGHT - finalHeight) / 2;
-                
-                page.drawImage(image, {
-                    x: xPos,
-                    y: yPos,
-                    width: finalWidth,
-                    height: finalHeight
-                });
-                
-                console.log(`  ✅ Page ${i + 1}/${includedPages.length} - BG: ${pageSettings.bgColor}`);
-                
-            } catch (err) {
-                console.error(`  ❌ Error processing page ${i + 1}:`, err.message);
-            }
-        }
-        
-        const pdfBytes = await pdfDoc.save();
-        
-        const fileName = req.file.originalname.replace(/\.(cbr|cbz)$/i, '.pdf');
-        
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Length', pdfBytes.length);
-        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-        res.send(Buffer.from(pdfBytes));
-        
-        console.log(`✅ Editor conversion completed: ${fileName}\n`);
+        sendResult(res, await convert(uploadedInput(req.file, editorData), { ...req.body, log: console.log }));
         
     } catch (error) {
         console.error('Editor conversion error:', error);
-        res.status(500).json({ error: error.message || 'Conversion failed' });
+        sendError(res, error, 'Conversion failed');
     } finally {
-        if (tempDir && fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
+        removeTempDir(req.tempDir);
     }
 });
 
-// Combine convert with editor settings (combination mode)
+// Combine convert with editor settings (combination mode); files without editor data keep all their pages
 app.post('/api/combine-convert-with-editor', upload.array('files', 20), async (req, res) => {
-    let tempDir;
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
@@ -858,190 +582,144 @@ app.post('/api/combine-convert-with-editor', upload.array('files', 20), async (r
         const combinationEditorData = req.body.combinationEditorData 
             ? JSON.parse(req.body.combinationEditorData) 
             : {};
-        const quality = 75;
+        const inputs = req.files.map(file => uploadedInput(file, combinationEditorData[file.originalname]));
         
-        tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
+        const result = await combine(inputs, { ...req.body, log: console.log });
+        const format = parseOutputFormat(req.body);
+        sendResult(res, { ...result, fileName: `combined-comic-edited${OUTPUT_FORMATS[format].extension}` });
         
-        console.log(`\n🔗 Starting combination with editor settings for ${req.files.length} files...`);
+    } catch (error) {
+        console.error('Combination editor conversion error:', error);
+        sendError(res, error, 'Combination conversion failed');
+    } finally {
+        removeTempDir(req.tempDir);
+    }
+});
+
+// Reverse conversion endpoint: image-based PDF -> CBZ
+app.post('/api/pdf-to-cbz', pdfUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
         
-        const pdfDoc = await PDFDocument.create();
+        const metadataOverrides = parseMetadataOverrides(req.body);
+        const device = parseDeviceOptions(req.body);
+        const enhance = parseEnhanceOptions(req.body);
+        const quality = parseInt(req.body.quality) || 75;
         
-        for (let fileIdx = 0; fileIdx < req.files.length; fileIdx++) {
-            const file = req.files[fileIdx];
-            const fileEditorData = combinationEditorData[file.originalname];
-            
-            if (!fileEditorData) {
-                console.log(`⚠️ No editor data for ${file.originalname}, using all pages with default settings...`);
-                continue;
+        console.log(`\n🔄 Extracting page images from ${req.file.originalname}...`);
+        
+        const { images, info } = await extractPdfImages(await fs.promises.readFile(req.file.path), console.log);
+        if (images.length === 0) {
+            return res.status(422).json({ error: 'No extractable images found in PDF' });
+        }
+        
+        // Images are only re-encoded when they are enhanced or prepared for a device profile, several
+        // at a time. They are numbered in reading order so every reader sorts them the same way.
+        const reencode = device || hasEnhancements(enhance);
+        const digits = Math.max(3, String(images.length).length);
+        const cbzPage = async (image, i) => {
+            const { data, ext } = reencode
+                ? await limitImageWork(() => reencodeImage(image.data, 'original', quality, { device, enhance }))
+                : image;
+            return { name: `${String(i + 1).padStart(digits, '0')}.${ext}`, data };
+        };
+        
+        // ...and streamed into the CBZ as they are ready
+        const pages = (async function* () {
+            for await (const { value, error } of mapOrdered(images, CONCURRENCY, cbzPage)) {
+                if (error) throw error;
+                yield value;
             }
-            
-            try {
-                console.log(`[${fileIdx + 1}/${req.files.length}] Processing: ${file.originalname}`);
-                
-                const { imageFiles, extractor, imageData } = await extractImagesFromArchive(file.buffer, file.originalname);
-                
-                // Get only included pages, or all pages if no editor data
-                let includedPages;
-                let requiredImageFiles;
+        })();
+        
+        const comicInfo = applyComicInfoOverrides({
+            Title: titleFromFileName(req.file.originalname),
+            ...comicInfoFromPdf(info)
+        }, metadataOverrides);
+        comicInfo.Pages = [{ Image: 0, Type: 'FrontCover' }];
+        
+        const cbzFileName = req.file.originalname.replace(/\.pdf$/i, '.cbz');
+        const pageCount = await sendCBZ(res, cbzFileName, pages, comicInfo);
+        
+        console.log(`✅ Extracted ${pageCount} images into ${cbzFileName}\n`);
+        
+    } catch (error) {
+        console.error('PDF to CBZ error:', error);
+        sendError(res, error, 'PDF to CBZ conversion failed');
+    } finally {
+        removeTempDir(req.tempDir);
+    }
+});
 
-                if (fileEditorData) {
-                    includedPages = fileEditorData.filter(page => page.included);
-                    requiredImageFiles = includedPages.map(page => imageFiles[page.index]);
-                    console.log(`  📄 Processing ${includedPages.length} included pages from ${imageFiles.length} total pages`);
-                } else {
-                    // Use all pages with default white background
-                    includedPages = imageFiles.map((_, index) => ({
-                        index: index,
-                        included: true,
-                        bgColor: 'white'
-                    }));
-                    requiredImageFiles = imageFiles;
-                    console.log(`  📄 Processing all ${imageFiles.length} pages with default settings`);
-                }
-                
-                const extractedImages = [];
-                
-                if (extractor) {
-                    const extracted = extractor.extract({
-                        files: requiredImageFiles
-                    });
-                    
-                    const extractedMap = {};
-                    for (const extractedFile of extracted.files) {
-                        if (extractedFile.extraction) {
-                            extractedMap[extractedFile.fileHeader.name] = {
-                                data: Buffer.from(extractedFile.extraction)
-                            };
-                        }
-                    }
-                    
-                    for (const imagePath of requiredImageFiles) {
-                        if (extractedMap[imagePath]) {
-                            extractedImages.push(extractedMap[imagePath]);
-                        }
-                    }
-                } else if (imageData) {
-                    for (const imagePath of requiredImageFiles) {
-                        if (imageData[imagePath]) {
-                            extractedImages.push({
-                                data: imageData[imagePath]
-                            });
-                        }
-                    }
-                }
-                
-                // Add each image to the combined PDF
-                for (let i = 0; i < extractedImages.length; i++) {
-                    const imageFile = extractedImages[i];
-                    const pageSettings = includedPages[i];
-                    
-                    try {
-                        let imageDataBuffer = imageFile.data;
-                        
-                        let isPng = false;
-                        if (imageDataBuffer[0] === 0x89 && imageDataBuffer[1] === 0x50) {
-                            isPng = true;
-                        }
-                        
-                        if (isPng) {
-                            imageDataBuffer = await sharp(imageDataBuffer)
-                                .png({ compressionLevel: Math.floor(quality / 20) })
-                                .toBuffer();
-                        } else {
-                            imageDataBuffer = await sharp(imageDataBuffer)
-                                .jpeg({ quality: quality, progressive: true })
-                                .toBuffer();
-                        }
-                        
-                        const metadata = await sharp(imageDataBuffer).metadata();
-                        const imgWidth = metadata.width;
-                        const imgHeight = metadata.height;
-                        
-                        const margin = 0;
-                        const availableWidth = A4_WIDTH - (2 * margin);
-                        const availableHeight = A4_HEIGHT - (2 * margin);
-                        
-                        let finalWidth = availableWidth;
-                        let finalHeight = (imgWidth > 0) ? (availableWidth * imgHeight) / imgWidth : availableHeight;
-                        
-                        if (finalHeight > availableHeight) {
-                            finalHeight = availableHeight;
-                            finalWidth = (imgHeight > 0) ? (availableHeight * imgWidth) / imgHeight : availableWidth;
-                        }
-                        
-                        const page = pdfDoc.addPage([A4_WIDTH, A4_HEIGHT]);
-                        
-                        // Use custom background color per page
-                        if (pageSettings.bgColor === 'black') {
-                            page.drawRectangle({
-                                x: 0,
-                                y: 0,
-                                width: A4_WIDTH,
-                                height: A4_HEIGHT,
-                                color: rgb(0, 0, 0)
-                            });
-                        } else {
-                            page.drawRectangle({
-                                x: 0,
-                                y: 0,
-                                width: A4_WIDTH,
-                                height: A4_HEIGHT,
-                                color: rgb(1, 1, 1)
-                            });
-                        }
-                        
-                        let image;
-                        if (isPng) {
-                            image = await pdfDoc.embedPng(imageDataBuffer);
-                        } else {
-                            image = await pdfDoc.embedJpg(imageDataBuffer);
-                        }
-                        
-                        const xPos = (A4_WIDTH - finalWidth) / 2;
-                        const yPos = (A4_HEIGHT - finalHeight) / 2;
-                        
-                        page.drawImage(image, {
-                            x: xPos,
-                            y: yPos,
-                            width: finalWidth,
-                            height: finalHeight
-                        });
-                        
-                    } catch (err) {
-                        console.error(`  ❌ Error processing page:`, err.message);
-                    }
-                }
-                
-                console.log(`  ✅ Added ${extractedImages.length} pages from ${file.originalname}`);
-                
-            } catch (error) {
-                console.error(`❌ Error processing ${file.originalname}:`, error.message);
-            }
+// Re-pack endpoint: any supported comic archive -> CBZ, optionally re-encoding images
+app.post('/api/repack', upload.single('file'), async (req, res) => {
+    let archive;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        const pdfBytes = await pdfDoc.save();
+        const quality = parseInt(req.body.quality) || 75;
+        const imageFormat = parseRepackFormat(req.body);
+        const device = parseDeviceOptions(req.body);
+        const enhance = parseEnhanceOptions(req.body);
+        const metadataOverrides = parseMetadataOverrides(req.body);
+        
+        console.log(`\n📦 Re-packing ${req.file.originalname} as CBZ (images: ${imageFormat})...`);
+        
+        archive = await openArchive(req.file.path, req.file.originalname, req.body.password, console.log);
+        const { imageFiles, comicInfo } = archive;
+        
+        // Pages are re-encoded several at a time and kept in archive order
+        const repackPage = async imagePath => {
+            const imageBuffer = await archive.readImage(imagePath);
+            const name = imagePath.replace(/\\/g, '/');
+            if (imageFormat === 'original' && !device && !hasEnhancements(enhance)) {
+                // Pages recognised by their content get the extension of their format
+                const format = detectImageFormat(imageBuffer);
+                return { name: format && !path.extname(name) ? `${name}.${format.ext}` : name, data: imageBuffer };
+            }
+            const { data, ext } = await limitImageWork(() => reencodeImage(imageBuffer, imageFormat, quality, { device, enhance }));
+            return { name: name.replace(/(\.[^./]+)?$/, `.${ext}`), data };
+        };
+        
+        // ...and streamed into the CBZ as they are ready
+        const pages = (async function* () {
+            for await (const { value, error } of mapOrdered(imageFiles, CONCURRENCY, repackPage)) {
+                if (error) throw error;
+                yield value;
+            }
+        })();
+        
+        const repackedInfo = applyComicInfoOverrides(
+            comicInfo || { Title: titleFromFileName(req.file.originalname) },
+            metadataOverrides
+        );
         
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Length', pdfBytes.length);
-        res.setHeader('Content-Disposition', 'attachment; filename="combined-comic-edited.pdf"');
-        res.send(Buffer.from(pdfBytes));
+        const cbzFileName = req.file.originalname.replace(COMIC_EXTENSION_PATTERN, '.cbz');
+        const pageCount = await sendCBZ(res, cbzFileName, pages, repackedInfo);
         
-        console.log(`\n✅ Combination with editor completed!\n`);
+        console.log(`✅ Re-packed ${pageCount} images into ${cbzFileName}\n`);
         
     } catch (error) {
-        console.error('Combination editor conversion error:', error);
-        res.status(500).json({ error: error.message || 'Combination conversion failed' });
+        console.error('Re-pack error:', error);
+        sendError(res, error, 'Re-pack failed');
     } finally {
-        if (tempDir && fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
+        if (archive) archive.close();
+        removeTempDir(req.tempDir);
     }
 });
 
+// Remove the upload directory of a request that failed before reaching its route (e.g. a rejected file)
+app.use((error, req, res, next) => {
+    removeTempDir(req.tempDir);
+    next(error);
+});
+
 app.listen(PORT, () => {
     console.log(`🚀 CBR to PDF Converter running at http://localhost:${PORT}`);
-    console.log(`📚 Upload CBR/CBZ files to convert them to PDF`);
+    console.log(`📚 Upload CBR/CBZ/CB7/CBT files to convert them to PDF`);
+    if (watcher) watcher.start();
 });
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openArchive } = require('../lib/archive');
+const { createZipBuffer } = require('../lib/convert');
+
+let workDir;
+
+test.before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cbr2pdf-test-'));
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a file that is no archive is reported as such', async () => {
+    const filePath = path.join(workDir, 'random.cbz');
+    fs.writeFileSync(filePath, crypto.randomBytes(4096));
+    await assert.rejects(openArchive(filePath, 'random.cbz'), /^Error: Not a supported archive/);
+});
+
+test('an archive without images is reported as empty', async () => {
+    const filePath = path.join(workDir, 'empty.cbz');
+    fs.writeFileSync(filePath, await createZipBuffer([{ name: 'readme.txt', data: 'no pages here' }]));
+    await assert.rejects(openArchive(filePath, 'empty.cbz'), /^Error: No images found/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { createZipBuffer } = require('../lib/convert');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cbr2pdf.js');
+
+let workDir;
+
+test.before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cbr2pdf-test-'));
+    const page = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer();
+    const comic = await createZipBuffer([1, 2, 3, 4].map(n => ({ name: `page0${n}.jpg`, data: page })));
+    fs.writeFileSync(path.join(workDir, 'one.cbz'), comic);
+    fs.writeFileSync(path.join(workDir, 'two.cbz'), comic);
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('--pages is refused with --combine', async () => {
+    const run = promisify(execFile)(process.execPath, [CLI, '--combine', '--pages', '2-3', '-o', workDir, 'one.cbz', 'two.cbz'], { cwd: workDir });
+    await assert.rejects(run, error => error.code === 2 && /--pages can't be used with --combine/.test(error.stderr));
+    assert.ok(!fs.existsSync(path.join(workDir, 'combined-comic.pdf')));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { convert } = require('../lib');
+const { createZipBuffer } = require('../lib/convert');
+const { PERMISSIONS } = require('../lib/encrypt');
+
+const USER_PASSWORD = 'open sésame';
+const OWNER_PASSWORD = 'owner secret';
+
+async function createComic() {
+    const page = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#c03030' } }).jpeg().toBuffer();
+    return createZipBuffer([
+        { name: 'page01.jpg', data: page },
+        { name: 'page02.jpg', data: page }
+    ]);
+}
+
+// The parts of a revision 6 security handler a reader checks passwords against
+async function readSecurityHandler(data) {
+    const pdfDoc = await PDFDocument.load(data, { ignoreEncryption: true });
+    const { context } = pdfDoc;
+    const encrypt = context.lookup(context.trailerInfo.Encrypt);
+    const bytes = name => Buffer.from(encrypt.get(PDFName.of(name)).asBytes());
+    return {
+        pdfDoc,
+        version: pdfDoc.catalog.get(PDFName.of('Version')),
+        filter: encrypt.get(PDFName.of('Filter')),
+        revision: encrypt.get(PDFName.of('R')).asNumber(),
+        permissions: encrypt.get(PDFName.of('P')).asNumber(),
+        u: bytes('U'),
+        ue: bytes('UE'),
+        o: bytes('O'),
+        perms: bytes('Perms')
+    };
+}
+
+// Algorithm 2.B of ISO 32000-2, written from the standard rather than taken from lib/encrypt.js so a
+// mistake there can't cancel itself out here
+function hash2B(password, salt, userKey = Buffer.alloc(0)) {
+    let k = crypto.createHash('sha256').update(password).update(salt).update(userKey).digest();
+    let e;
+    let round = 0;
+    do {
+        const k1 = Buffer.concat(Array.from({ length: 64 }, () => Buffer.concat([password, k, userKey])));
+        const aes = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32));
+        aes.setAutoPadding(false);
+        e = Buffer.concat([aes.update(k1), aes.final()]);
+        // The first 16 bytes of E as a big-endian number, modulo 3, pick the next hash
+        const remainder = BigInt(`0x${e.subarray(0, 16).toString('hex')}`) % 3n;
+        k = crypto.createHash({ 0: 'sha256', 1: 'sha384', 2: 'sha512' }[remainder]).update(e).digest();
+        round++;
+    } while (round < 64 || e[e.length - 1] > round - 32);
+    return k.subarray(0, 32);
+}
+
+// Algorithm 2.A of ISO 32000-2: the file key when `password` is the user password, otherwise null
+function fileKeyFor(handler, password) {
+    const bytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+    if (!hash2B(bytes, handler.u.subarray(32, 40)).equals(handler.u.subarray(0, 32))) {
+        return null;
+    }
+    const decipher = crypto.createDecipheriv('aes-256-cbc', hash2B(bytes, handler.u.subarray(40, 48)), Buffer.alloc(16));
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(handler.ue), decipher.final()]);
+}
+
+function isOwnerPassword(handler, password) {
+    const bytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+    return hash2B(bytes, handler.o.subarray(32, 40), handler.u).equals(handler.o.subarray(0, 32));
+}
+
+// A text string decrypted with the file key; pdf-lib writes them as UTF-16BE with a byte order mark
+function decryptText(fileKey, encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', fileKey, encrypted.subarray(0, 16));
+    const text = Buffer.concat([decipher.update(encrypted.subarray(16)), decipher.final()]);
+    return text.subarray(2).swap16().toString('utf16le');
+}
+
+test('a protected PDF opens only with the right password', async () => {
+    const { data } = await convert({ data: await createComic(), name: 'secret.cbz' }, {
+        userPassword: USER_PASSWORD,
+        ownerPassword: OWNER_PASSWORD,
+        allowPrinting: 'false'
+    });
+    const handler = await readSecurityHandler(data);
+
+    assert.strictEqual(String(handler.version), '/2.0');
+    assert.strictEqual(String(handler.filter), '/Standard');
+    assert.strictEqual(handler.revision, 6);
+
+    assert.strictEqual(fileKeyFor(handler, ''), null);
+    assert.strictEqual(fileKeyFor(handler, 'wrong'), null);
+    assert.strictEqual(fileKeyFor(handler, OWNER_PASSWORD), null);
+    assert.ok(isOwnerPassword(handler, OWNER_PASSWORD));
+    assert.ok(!isOwnerPassword(handler, USER_PASSWORD));
+
+    // The file key from the user password decrypts the document
+    const fileKey = fileKeyFor(handler, USER_PASSWORD);
+    assert.ok(fileKey);
+    const { context } = handler.pdfDoc;
+    const title = context.lookup(context.trailerInfo.Info).get(PDFName.of('Title'));
+    assert.strictEqual(decryptText(fileKey, Buffer.from(title.asBytes())), 'secret');
+
+    // ...and the permissions it protects
+    const decipher = crypto.createDecipheriv('aes-256-ecb', fileKey, null).setAutoPadding(false);
+    const perms = Buffer.concat([decipher.update(handler.perms), decipher.final()]);
+    assert.strictEqual(perms.toString('latin1', 9, 12), 'adb');
+    assert.strictEqual(perms.readInt32LE(0), handler.permissions);
+    assert.strictEqual(handler.permissions & PERMISSIONS.allowPrinting, 0);
+    assert.strictEqual(handler.permissions & PERMISSIONS.allowCopying, PERMISSIONS.allowCopying);
+});
+
+test('permissions alone keep the PDF openable without a password', async () => {
+    const { data } = await convert({ data: await createComic(), name: 'open.cbz' }, { allowCopying: 'false' });
+    const handler = await readSecurityHandler(data);
+
+    assert.ok(fileKeyFor(handler, ''));
+    assert.strictEqual(handler.permissions & PERMISSIONS.allowCopying, 0);
+});
+
+test('passwords are refused for EPUB output', async () => {
+    await assert.rejects(
+        convert({ data: await createComic(), name: 'book.cbz' }, { userPassword: 'x', format: 'epub' }),
+        /only supported for PDF output/
+    );
+});
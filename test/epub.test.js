@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EpubDocument } = require('../lib/epub');
+
+const COVER_META = '<meta name="cover" content="cover-image" />';
+
+test('the cover meta points at the first image page', () => {
+    const epub = new EpubDocument();
+    epub.insertBlankPage(0);
+    epub.addImagePage(Buffer.alloc(8), { width: 60, height: 90 });
+    const opf = epub.packageOpf('Book', 2);
+    assert.ok(opf.includes(COVER_META));
+    assert.match(opf, /<item id="cover-image" href="images\/page-0002\.jpg" media-type="image\/jpeg" properties="cover-image" \/>/);
+});
+
+test('a book without images has no cover meta', () => {
+    const epub = new EpubDocument();
+    epub.insertBlankPage(0);
+    epub.insertBlankPage(1);
+    const opf = epub.packageOpf('Book', 1);
+    assert.ok(!opf.includes(COVER_META));
+    assert.ok(!opf.includes('cover-image'));
+});
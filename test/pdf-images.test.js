@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { extractPdfImages } = require('../lib/pdf-images');
+
+test('an image drawn on several pages is extracted for each of them', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const shared = await pdfDoc.embedJpg(await sharp({ create: { width: 60, height: 90, channels: 3, background: '#ffffff' } }).jpeg().toBuffer());
+    const own = await pdfDoc.embedJpg(await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer());
+    for (const image of [shared, own, shared]) {
+        pdfDoc.addPage([60, 90]).drawImage(image, { x: 0, y: 0, width: 60, height: 90 });
+    }
+
+    const { images } = await extractPdfImages(await pdfDoc.save());
+    assert.deepStrictEqual(images.map(image => image.page), [1, 2, 3]);
+    assert.deepStrictEqual(images[2].data, images[0].data);
+    assert.notDeepStrictEqual(images[1].data, images[0].data);
+});
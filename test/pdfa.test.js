@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFStream, decodePDFRawStream } = require('pdf-lib');
+const { convert, combine } = require('../lib');
+const { createZipBuffer } = require('../lib/convert');
+
+const COMIC_INFO = `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo>
+  <Title>Café &amp; Croissants</Title>
+  <Series>Les Aventures</Series>
+  <Number>3</Number>
+  <Summary>A story.</Summary>
+  <Writer>Jane Doe</Writer>
+  <Publisher>Acme</Publisher>
+  <Tags>Sci Fi, Adventure</Tags>
+</ComicInfo>`;
+
+const OVERLAYS = { watermark: 'SAMPLE', watermarkOpacity: 0.3, pageNumbers: '{page} / {total}', header: '{series}' };
+
+async function createComic() {
+    const page = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer();
+    const transparent = await sharp({ create: { width: 60, height: 90, channels: 4, background: '#30c05080' } }).png().toBuffer();
+    return createZipBuffer([
+        { name: 'ComicInfo.xml', data: Buffer.from(COMIC_INFO) },
+        { name: 'page01.jpg', data: page },
+        { name: 'page02.png', data: transparent }
+    ]);
+}
+
+function unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// A simple XMP property, or the first item of an array property
+function xmpValue(xmp, property) {
+    const match = new RegExp(`<${property}>(?:<rdf:(?:Alt|Seq|Bag)><rdf:li[^>]*>)?([^<]*)<`).exec(xmp);
+    return match ? unescapeXml(match[1]) : undefined;
+}
+
+// Info entries and the XMP properties that must hold the same value
+const INFO_XMP_PROPERTIES = {
+    Title: 'dc:title',
+    Author: 'dc:creator',
+    Subject: 'dc:description',
+    Keywords: 'pdf:Keywords',
+    Creator: 'xmp:CreatorTool',
+    Producer: 'pdf:Producer',
+    CreationDate: 'xmp:CreateDate',
+    ModDate: 'xmp:ModifyDate'
+};
+
+// Structural checks of the PDF/A-2b requirements the converter is responsible for; returns the
+// problems found. Not a full validator: content streams and font programs aren't inspected.
+async function checkPdfA(data) {
+    const problems = [];
+    const pdfDoc = await PDFDocument.load(data, { updateMetadata: false });
+    const { context, catalog } = pdfDoc;
+
+    // Header, then a comment of at least four binary bytes
+    const header = Buffer.from(data.subarray(0, 20)).toString('latin1');
+    if (!/^%PDF-1\.[0-7]\r?\n%[\x80-\xff]{4}/.test(header)) {
+        problems.push('file header');
+    }
+
+    const id = context.trailerInfo.ID && context.lookup(context.trailerInfo.ID);
+    if (!(id instanceof PDFArray) || id.size() !== 2 || id.asArray().some(part => part.asBytes().length < 16)) {
+        problems.push('document ID');
+    }
+    if (context.trailerInfo.Encrypt) {
+        problems.push('encryption');
+    }
+
+    const outputIntents = catalog.lookup(PDFName.of('OutputIntents'));
+    const outputIntent = outputIntents instanceof PDFArray
+        ? outputIntents.asArray().map(ref => context.lookup(ref)).find(intent => String(intent.get(PDFName.of('S'))) === '/GTS_PDFA1')
+        : undefined;
+    const profile = outputIntent && outputIntent.lookup(PDFName.of('DestOutputProfile'));
+    if (!(profile instanceof PDFStream) || profile.dict.get(PDFName.of('N')).asNumber() !== 3) {
+        problems.push('output intent');
+    } else {
+        const icc = Buffer.from(decodePDFRawStream(profile).decode());
+        if (icc.toString('latin1', 36, 40) !== 'acsp' || icc.toString('latin1', 16, 20) !== 'RGB ') {
+            problems.push('output intent profile');
+        }
+    }
+
+    const metadata = catalog.lookup(PDFName.of('Metadata'));
+    if (!(metadata instanceof PDFStream) || String(metadata.dict.get(PDFName.of('Subtype'))) !== '/XML' || metadata.dict.has(PDFName.of('Filter'))) {
+        problems.push('XMP metadata');
+        return problems;
+    }
+    const xmp = Buffer.from(metadata.getContents()).toString('utf8');
+    if (xmpValue(xmp, 'pdfaid:part') !== '2' || xmpValue(xmp, 'pdfaid:conformance') !== 'B') {
+        problems.push('PDF/A identification');
+    }
+
+    const info = context.lookup(context.trailerInfo.Info);
+    for (const [key, property] of Object.entries(INFO_XMP_PROPERTIES)) {
+        const value = info.lookup(PDFName.of(key));
+        if (!value) continue;
+        const expected = key.endsWith('Date') ? value.decodeDate().toISOString() : value.decodeText();
+        const actual = xmpValue(xmp, property);
+        if ((key.endsWith('Date') && actual ? new Date(actual).toISOString() : actual) !== expected) {
+            problems.push(`XMP ${property} doesn't match Info ${key}`);
+        }
+    }
+
+    pdfDoc.getPages().forEach((page, index) => {
+        const resources = page.node.Resources();
+        const states = resources && resources.lookup(PDFName.of('ExtGState'));
+        for (const state of states instanceof PDFDict ? states.values() : []) {
+            const alpha = ['ca', 'CA'].map(key => context.lookup(state).lookup(PDFName.of(key)));
+            if (alpha.some(value => value instanceof PDFNumber && value.asNumber() < 1)) {
+                problems.push(`transparency on page ${index + 1}`);
+            }
+        }
+        const fonts = resources && resources.lookup(PDFName.of('Font'));
+        for (const ref of fonts instanceof PDFDict ? fonts.values() : []) {
+            let font = context.lookup(ref);
+            const descendants = font.lookup(PDFName.of('DescendantFonts'));
+            if (descendants) {
+                font = context.lookup(descendants.get(0));
+            }
+            const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+            if (!descriptor || !['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)))) {
+                problems.push(`font not embedded on page ${index + 1}`);
+            }
+        }
+    });
+
+    return problems;
+}
+
+test('PDF/A output passes the structural checks', async () => {
+    const { data } = await convert({ data: await createComic(), name: 'issue.cbz' }, { pdfa: 'true', ...OVERLAYS });
+    assert.deepStrictEqual(await checkPdfA(data), []);
+});
+
+test('combined PDF/A output passes the structural checks', async () => {
+    const comic = await createComic();
+    const { data } = await combine([{ data: comic, name: 'one.cbz' }, { data: comic, name: 'two.cbz' }], {
+        pdfa: true,
+        metadata: { title: 'Omnibus' },
+        ...OVERLAYS
+    });
+    assert.deepStrictEqual(await checkPdfA(data), []);
+});
+
+test('the checker finds what a plain PDF lacks', async () => {
+    const { data } = await convert({ data: await createComic(), name: 'issue.cbz' }, OVERLAYS);
+    assert.deepStrictEqual(await checkPdfA(data), [
+        'document ID',
+        'output intent',
+        'PDF/A identification',
+        'transparency on page 1',
+        'transparency on page 2'
+    ]);
+});
+
+test('PDF/A is refused with passwords, EPUB output and image watermarks', async () => {
+    const comic = await createComic();
+    const watermarkImage = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } }).png().toBuffer()).toString('base64');
+    for (const [options, message] of [
+        [{ userPassword: 'secret' }, /passwords or permissions/],
+        [{ allowPrinting: 'false' }, /passwords or permissions/],
+        [{ format: 'epub' }, /only supported for PDF output/],
+        [{ watermarkImage }, /watermarkImage/]
+    ]) {
+        await assert.rejects(convert({ data: comic, name: 'issue.cbz' }, { pdfa: 'true', ...options }), message);
+    }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { convert, combine } = require('../lib');
+const { createZipBuffer } = require('../lib/convert');
+
+const CORRUPT = Buffer.from('PK\x03\x04 not really a zip archive', 'latin1');
+
+test('a combination of archives that all fail is an error, with the report', async () => {
+    const inputs = [{ data: CORRUPT, name: 'one.cbz' }, { data: CORRUPT, name: 'two.cbz' }];
+    for (const format of ['pdf', 'epub']) {
+        await assert.rejects(combine(inputs, { format }), error => {
+            assert.strictEqual(error.message, 'No files could be converted');
+            assert.strictEqual(error.report.filesFailed, 2);
+            assert.strictEqual(error.report.filesConverted, 0);
+            return true;
+        });
+    }
+});
+
+test('a combination leaves out the archives that fail', async () => {
+    const page = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer();
+    const comic = await createZipBuffer([{ name: 'page01.jpg', data: page }]);
+    const { report } = await combine([{ data: CORRUPT, name: 'bad.cbz' }, { data: comic, name: 'good.cbz' }]);
+    assert.strictEqual(report.filesFailed, 1);
+    assert.strictEqual(report.filesConverted, 1);
+    assert.strictEqual(report.pagesConverted, 1);
+});
+
+test('split spreads count as the pages they become', async () => {
+    const portrait = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer();
+    const spread = await sharp({ create: { width: 120, height: 90, channels: 3, background: '#c05030' } }).jpeg().toBuffer();
+    const comic = await createZipBuffer([{ name: 'page01.jpg', data: portrait }, { name: 'page02.jpg', data: spread }]);
+    const { data, report } = await convert({ data: comic, name: 'issue.cbz' }, { spreadMode: 'split', blankFirstPage: 'true' });
+    const pageCount = (await PDFDocument.load(data)).getPageCount();
+    assert.strictEqual(pageCount, 4);
+    assert.strictEqual(report.pagesConverted, 3);
+    assert.strictEqual(report.files[0].pagesConverted, 3);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const SevenZip = require('7z-wasm');
+const { openArchive } = require('../lib/archive');
+
+const PASSWORD = 'secret';
+const CENTRAL_HEADER = Buffer.from('PK\x01\x02', 'latin1');
+
+// Encrypted archives are written by 7-Zip, so they don't depend on lib/zip-crypto.js being right
+const METHODS = {
+    ZipCrypto: ['-mem=ZipCrypto'],
+    'AES-128': ['-mem=AES128'],
+    'AES-192': ['-mem=AES192'],
+    'AES-256': ['-mem=AES256'],
+    'AES-256, stored': ['-mem=AES256', '-mx=0']
+};
+
+let workDir;
+let pages;
+
+test.before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cbr2pdf-test-'));
+    pages = {
+        'page01.jpg': await sharp({ create: { width: 60, height: 90, channels: 3, background: '#3050c0' } }).jpeg().toBuffer(),
+        'page02.png': await sharp({ create: { width: 60, height: 90, channels: 3, background: '#c05030' } }).png().toBuffer()
+    };
+    for (const [name, data] of Object.entries(pages)) {
+        fs.writeFileSync(path.join(workDir, name), data);
+    }
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function createEncryptedZip(name, args) {
+    const errors = [];
+    const sevenZip = await SevenZip({ print: () => {}, printErr: line => errors.push(line) });
+    sevenZip.FS.mkdir('/work');
+    sevenZip.FS.mount(sevenZip.NODEFS, { root: workDir }, '/work');
+    const pagePaths = Object.keys(pages).map(page => `/work/${page}`);
+    const exitCode = sevenZip.callMain(['a', '-tzip', ...args, `-p${PASSWORD}`, `/work/${name}`, ...pagePaths]);
+    assert.strictEqual(exitCode, 0, errors.join('\n'));
+    return path.join(workDir, name);
+}
+
+// 7-Zip writes AE-2 entries, which leave the CRC out. AE-1 is the same with the CRC of the plain data,
+// so set the vendor version of every AES extra field to 1 and fill the CRCs in.
+function rewriteAsAe1(filePath) {
+    const zip = fs.readFileSync(filePath);
+    const setAe1 = (offset, extraStart, extraLength, crc) => {
+        zip.writeUInt32LE(crc, offset);
+        for (let i = extraStart; i < extraStart + extraLength; i += 4 + zip.readUInt16LE(i + 2)) {
+            if (zip.readUInt16LE(i) === 0x9901) {
+                zip.writeUInt16LE(1, i + 4);
+            }
+        }
+    };
+
+    for (let offset = zip.indexOf(CENTRAL_HEADER); offset !== -1; offset = zip.indexOf(CENTRAL_HEADER, offset + 46)) {
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const name = zip.toString('latin1', offset + 46, offset + 46 + nameLength);
+        const crc = zlib.crc32(pages[name]);
+        setAe1(offset + 16, offset + 46 + nameLength, zip.readUInt16LE(offset + 30), crc);
+
+        const local = zip.readUInt32LE(offset + 42);
+        const localNameLength = zip.readUInt16LE(local + 26);
+        setAe1(local + 14, local + 30 + localNameLength, zip.readUInt16LE(local + 28), crc);
+    }
+    fs.writeFileSync(filePath, zip);
+}
+
+async function readPages(filePath, password) {
+    const archive = await openArchive(filePath, path.basename(filePath), password);
+    try {
+        const read = {};
+        for (const imagePath of archive.imageFiles) {
+            read[imagePath] = await archive.readImage(imagePath);
+        }
+        return read;
+    } finally {
+        archive.close();
+    }
+}
+
+for (const [method, args] of Object.entries(METHODS)) {
+    test(`${method} archives open with the right password only`, async () => {
+        const filePath = await createEncryptedZip(`${method.replace(/\W+/g, '-')}.cbz`, args);
+
+        assert.deepStrictEqual(await readPages(filePath, PASSWORD), pages);
+        await assert.rejects(readPages(filePath, ''), { code: 'PASSWORD_REQUIRED' });
+        await assert.rejects(readPages(filePath, 'wrong'), { code: 'PASSWORD_INCORRECT' });
+    });
+}
+
+test('AE-1 archives are read, and their CRC checked', async () => {
+    const filePath = await createEncryptedZip('ae1.cbz', METHODS['AES-256']);
+    rewriteAsAe1(filePath);
+    assert.deepStrictEqual(await readPages(filePath, PASSWORD), pages);
+
+    // A wrong CRC means the pages didn't decrypt to what was packed
+    const zip = fs.readFileSync(filePath);
+    const central = zip.indexOf(CENTRAL_HEADER);
+    zip.writeUInt32LE(0, central + 16);
+    zip.writeUInt32LE(0, zip.readUInt32LE(central + 42) + 14);
+    fs.writeFileSync(filePath, zip);
+    await assert.rejects(readPages(filePath, PASSWORD));
+});